@@ -2,20 +2,325 @@
 /* eslint-env node */
 'use strict';
 
-const gitClone = require('git-clone');
+/**
+ * Command-line tool built on the same protocol code as the app:
+ *
+ * `decode <hex>` prints every frame found in the bytes typed as hex.
+ *
+ * `encode <command> [value]` prints the frame as hex, the command is a code
+ * or a name from the command table, e.g. `encode "volume limit" 2000`. The
+ * frame goes the way the command does unless `--from tap` or `--from app` is
+ * given, the value of command 21 from the tap is the long device ID in hex.
+ *
+ * `simulate` runs a virtual tap per connection on
+ * `ws://localhost:<port>/tap`, the app reaches it with the WebSocket
+ * transport. Options: `--port` (8080), `--id`, `--secret`, `--protocol` and
+ * `--scenario`, see `VirtualTap`.
+ *
+ * `replay <file>` feeds traffic exported by the app as JSON through the
+ * protocol handler and prints session events. Options: `--source` to pick
+ * one tap of the recording, `--deny` to deny all cards instead of allowing
+ * them, `--speed` (0 replays at once), `--json` to print events as JSON
+ * lines and `--verbose` to print the terminal log.
+ */
+const fs = require('fs');
+const WebSocket = require('ws');
 
-const packageJson = require('./package.json');
+const BluetoothTerminal = require('./js/BluetoothTerminal');
+const CardAuthorizationProvider = require('./js/CardAuthorizationProvider');
+const TapCommandTable = require('./js/TapCommandTable');
+const TapFrame = require('./js/TapFrame');
+const TapFrameReceiver = require('./js/TapFrameReceiver');
+const TapSession = require('./js/TapSession');
+const TrafficRecorder = require('./js/TrafficRecorder');
+const TrafficReplay = require('./js/TrafficReplay');
+const bridgeTap = require('./misc/Mock-Server/tap-bridge');
 
-let repository = packageJson.repository.url;
-repository = repository.substring(repository.indexOf('https://'));
+const usage = `Usage: web-bluetooth-terminal <command> [options]
 
-const tag = 'v' + packageJson.version;
+Commands:
+  decode <hex>                 Print frames found in the bytes
+  encode <command> [value]     Print frame as hex
+    --from tap|app             Direction, the command one by default
+  simulate                     Run virtual taps on ws://localhost:<port>/tap
+    --port <port>              Port, 8080 by default
+    --id <long ID>             Long device ID, 0000000000000001 by default
+    --secret <hex>             Shared secret to answer the challenge
+    --protocol <version>       Highest protocol version, 1 by default
+    --scenario <scenario>      Scenario to play once the tap is accepted
+  replay <file>                Print session events of the recorded traffic
+    --source <source>          Tap to replay, the first recorded by default
+    --deny                     Deny cards, they are allowed by default
+    --speed <speed>            Speed multiplier, 0 replays at once (default)
+    --json                     Print events as JSON lines
+    --verbose                  Print terminal log
+`;
 
-const destination = process.argv[2] || './';
+const commands = new TapCommandTable(BluetoothTerminal.COMMANDS);
 
-process.stdout.write(`Cloning Git repository from ${repository} to ` +
-    `${destination} using ${tag}...`);
+const print = (line) => process.stdout.write(line + '\n');
 
-gitClone(repository, destination, {checkout: tag}, () => {
-  process.stdout.write(' done!\n');
+// Stop quietly once the output is piped to a command which exits, e.g. head.
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') {
+    throw error;
+  }
+
+  process.exit();
 });
+
+// Options which take no value.
+const FLAGS = ['deny', 'help', 'json', 'verbose'];
+
+// Split arguments to positional ones and options, a flag or an option
+// followed by another option or nothing is true.
+const parseArguments = (args) => {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+
+    const name = args[i].substring(2);
+
+    if (!FLAGS.includes(name) && i + 1 < args.length &&
+      !args[i + 1].startsWith('--')) {
+      options[name] = args[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return {positional, options};
+};
+
+// Report the error of the subcommand.
+const fail = (error) => {
+  process.stderr.write(error.message + '\n');
+  process.exitCode = 1;
+};
+
+const parseNumber = (text, name) => {
+  const number = Number(text);
+
+  if (text === true || text === '' || !Number.isFinite(number) ||
+    number < 0) {
+    throw new Error(name + ' must be a non-negative number');
+  }
+
+  return number;
+};
+
+const findCommand = (text) => {
+  const command = /^\d+$/.test(text) ? commands.get(Number(text)) :
+    commands.getAll().find((command) => command.name === text);
+
+  if (!command && !/^\d+$/.test(text)) {
+    throw new Error('Unknown command "' + text + '", known are ' +
+      Array.from(new Set(commands.getAll().
+          map((command) => command.name))).join(', '));
+  }
+
+  return command;
+};
+
+const decode = ([hex]) => {
+  if (!hex) {
+    throw new Error('Hex must be given');
+  }
+
+  const receiver = new TapFrameReceiver(
+      (frame) => print(TapFrame.formatHex(frame.encode()) + ' | ' +
+        frame.describe(commands)),
+      (bytes) => print(TapFrame.formatHex(bytes) + ' | dropped'));
+
+  receiver.push(TapFrame.parseHex(hex));
+
+  const rest = receiver.pending();
+
+  if (rest.length > 0) {
+    print(TapFrame.formatHex(rest) + ' | not completed, ' + rest.length +
+      ' of ' + TapFrame.LENGTH + ' bytes');
+  }
+};
+
+const encode = ([name, value = '0'], options) => {
+  if (!name) {
+    throw new Error('Command must be given');
+  }
+
+  const command = findCommand(name);
+  const code = command ? command.code : Number(name);
+  let direction = command ? command.direction : TapFrame.APP;
+
+  if (options.from !== undefined) {
+    if (options.from !== 'tap' && options.from !== 'app') {
+      throw new Error('Direction must be tap or app');
+    }
+
+    direction = options.from === 'tap' ? TapFrame.DEVICE : TapFrame.APP;
+  }
+
+  const frame = TapFrame.hasLongId(code, direction) ?
+    new TapFrame(code, 0, {direction, longId: value}) :
+    new TapFrame(code, parseNumber(value, 'Value'), {direction});
+
+  print(TapFrame.formatHex(frame.encode()) + ' | ' + frame.describe(commands));
+};
+
+const simulate = (args, options) => {
+  const port = options.port === undefined ? 8080 :
+    parseNumber(options.port, 'Port');
+  const tap = {name: 'Simulated Tap'};
+
+  if (options.id !== undefined) {
+    tap.deviceId = TapFrame.normalizeLongId(options.id);
+  }
+
+  if (options.secret !== undefined) {
+    tap.secret = String(options.secret);
+  }
+
+  if (options.protocol !== undefined) {
+    tap.protocolVersion = parseNumber(options.protocol, 'Protocol version');
+  }
+
+  const server = new WebSocket.Server({port, path: '/tap'});
+
+  server.on('connection', (socket) => {
+    const virtualTap = bridgeTap(socket, {
+      tap,
+      scenario: options.scenario || null,
+    }, print);
+
+    print(`Tap ${virtualTap.deviceId} is connected`);
+  });
+
+  server.on('listening', () => print('Virtual taps are listening on ' +
+    `ws://localhost:${server.address().port}/tap`));
+
+  server.on('error', fail);
+};
+
+const replay = ([file], options) => {
+  if (!file) {
+    throw new Error('File must be given');
+  }
+
+  const entries = TrafficRecorder.parse(fs.readFileSync(file, 'utf8'));
+  const source = options.source !== undefined ? String(options.source) :
+    (entries.length ? entries[0].source : '');
+  const speed = options.speed === undefined ? 0 :
+    parseNumber(options.speed, 'Speed');
+  const terminal = new BluetoothTerminal();
+
+  // Authorize every card the same way.
+  const authorization = options.deny ? CardAuthorizationProvider.DENIED :
+    CardAuthorizationProvider.ALLOWED;
+
+  terminal.setAuthorizationProvider({
+    authorize: () => Promise.resolve(authorization),
+  });
+
+  terminal._log = (...messages) => {
+    if (options.verbose) {
+      messages.forEach((message) => print('log ' + message));
+    }
+  };
+
+  const replayed = new TrafficReplay(entries.filter((entry) =>
+    entry.source === source), terminal);
+
+  const printEvent = (type, fields) => {
+    const event = Object.assign({entry: replayed.getPosition(), event: type},
+        fields);
+
+    print(options.json ? JSON.stringify(event) : Object.keys(event).
+        map((key) => key + ' ' + event[key]).join(', '));
+  };
+
+  const describeSession = (session) => session ? {
+    card: session.cardNumber,
+    state: session.state,
+    amount: session.amount,
+    reason: session.reason,
+  } : {};
+
+  TapSession.EVENTS.forEach((type) => terminal.on(type,
+      (session) => printEvent(type, describeSession(session))));
+
+  terminal.on('frameRejected', (frame, session) => printEvent('frameRejected',
+      Object.assign({frame: frame.describe(commands)},
+          describeSession(session))));
+
+  terminal.on('watchdog', (session, reason) => printEvent('watchdog',
+      Object.assign(describeSession(session), {reason})));
+
+  terminal.on('handshake', (deviceId, result) => printEvent('handshake',
+      {deviceId, result}));
+
+  const done = () => {
+    if (options.json) {
+      printEvent('end', {});
+    } else {
+      print(`Replayed ${replayed.getPosition()} of ${replayed.getLength()} ` +
+        `entries of "${source}"`);
+    }
+
+    // Timers of the session left by the recording end must not hold on.
+    process.exit();
+  };
+
+  // Entries of a malformed recording throw, the replay stops on them.
+  const stop = (error) => {
+    fail(error);
+    process.exit();
+  };
+
+  // Replay at once, still letting authorization replies settle between
+  // entries.
+  const next = () => {
+    let entry;
+
+    try {
+      entry = replayed.step();
+    } catch (error) {
+      stop(error);
+      return;
+    }
+
+    if (entry) {
+      setTimeout(next);
+    } else {
+      done();
+    }
+  };
+
+  if (speed === 0) {
+    next();
+    return;
+  }
+
+  replayed.play(speed).
+      then(() => setTimeout(done)).
+      catch(stop);
+};
+
+const subcommands = {decode, encode, simulate, replay};
+
+const {positional, options} = parseArguments(process.argv.slice(2));
+const subcommand = subcommands[positional[0]];
+
+if (!subcommand || options.help) {
+  process.stdout.write(usage);
+  process.exitCode = subcommand || options.help ? 0 : 1;
+} else {
+  try {
+    subcommand(positional.slice(1), options);
+  } catch (error) {
+    fail(error);
+  }
+}
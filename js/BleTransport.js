@@ -0,0 +1,552 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapFrame = require('./TapFrame');
+  global.Transport = require('./Transport');
+}
+
+/**
+ * Bluetooth Low Energy transport: receives notifications of one
+ * characteristic of the service and writes to the same or another one, see
+ * `setWriteCharacteristicUuid`.
+ */
+class BleTransport extends Transport {
+  /**
+   * Create transport.
+   * @param {!(number|string)} [serviceUuid=0xFFE0] - Service UUID
+   * @param {!(number|string)} [characteristicUuid=0xFFE1] - Characteristic UUID
+   *                                                      to receive data
+   *                                                      with notifications
+   */
+  constructor(serviceUuid = 0xFFE0, characteristicUuid = 0xFFE1) {
+    super();
+
+    this._serviceUuid = serviceUuid;
+    this._characteristicUuid = characteristicUuid;
+    this._writeCharacteristicUuid = null; // Notified one or any writable.
+    this._optionalServices = []; // Services to explore besides the used one.
+    this._namePrefix = null; // Name prefix of devices listed in the chooser.
+
+    this._device = null; // Device object cache.
+    this._notifyCharacteristic = null; // Characteristic to receive from.
+    this._writeCharacteristic = null; // Characteristic to write to.
+    this._advertisementWatch = null; // Waiting for the device to advertise.
+
+    // Bound functions used to add and remove appropriate event handlers.
+    this._boundHandleDisconnection = this._handleDisconnection.bind(this);
+    this._boundHandleCharacteristicValueChanged =
+      this._handleCharacteristicValueChanged.bind(this);
+  }
+
+  /**
+   * Set service UUID.
+   * @param {!(number|string)} uuid - Service UUID
+   */
+  setServiceUuid(uuid) {
+    this._serviceUuid = uuid;
+  }
+
+  /**
+   * Set UUID of the characteristic to receive data from.
+   * @param {!(number|string)} uuid - Characteristic UUID
+   */
+  setCharacteristicUuid(uuid) {
+    this._characteristicUuid = uuid;
+  }
+
+  /**
+   * Set UUID of the characteristic to write to.
+   * @param {?(number|string)} uuid - Characteristic UUID, null to use the
+   *                                  notified one if it is writable or any
+   *                                  writable one of the service
+   */
+  setWriteCharacteristicUuid(uuid) {
+    this._writeCharacteristicUuid = uuid;
+  }
+
+  /**
+   * Set services to request access to besides the used one.
+   * @param {Array<(number|string)>} uuids - Service UUIDs
+   */
+  setOptionalServices(uuids) {
+    this._optionalServices = uuids.slice();
+  }
+
+  /**
+   * Set name prefix of devices listed in the chooser.
+   * @param {?string} prefix - Name prefix, all devices with the service are
+   *                           listed if empty
+   */
+  setNamePrefix(prefix) {
+    this._namePrefix = prefix || null;
+  }
+
+  /**
+   * Get transport type to show.
+   * @return {string}
+   */
+  getType() {
+    return 'Bluetooth';
+  }
+
+  /**
+   * Launch Bluetooth device chooser and connect to the selected device,
+   * connect to the given or used one otherwise.
+   * @param {Object} [device] - Device permitted before, see
+   *                            `navigator.bluetooth.getDevices()`
+   * @return {Promise} Promise which will be fulfilled when notifications will
+   *                   be started or rejected if something went wrong
+   */
+  connect(device = null) {
+    if (device && device !== this._device) {
+      this.disconnect();
+      this._useDevice(device);
+    }
+
+    this._stopWatchingAdvertisements(BleTransport._watchCancelled());
+
+    return (this._device ? Promise.resolve(this._device) :
+      this._requestBluetoothDevice()).
+        then((device) => this._connectDeviceAndCacheCharacteristic(device)).
+        then((characteristic) => this._startNotifications(characteristic));
+  }
+
+  /**
+   * Wait for the device permitted before to advertise, that is to be in
+   * range and powered. Resolves right away if the browser can't watch
+   * advertisements or fails to.
+   * @param {Object} device - Device permitted before, see
+   *                          `navigator.bluetooth.getDevices()`
+   * @return {Promise} Promise which will be fulfilled when the device
+   *                   advertises or rejected if waiting is cancelled with
+   *                   `connect()` or `disconnect()`
+   */
+  waitForAdvertisement(device) {
+    if (device !== this._device) {
+      this.disconnect();
+      this._useDevice(device);
+    }
+
+    this._stopWatchingAdvertisements(BleTransport._watchCancelled());
+
+    if (typeof device.watchAdvertisements !== 'function') {
+      return Promise.resolve();
+    }
+
+    this._log('Waiting for "' + device.name + '" bluetooth device to ' +
+      'advertise...');
+
+    return new Promise((resolve, reject) => {
+      const watch = {
+        device,
+        controller: new AbortController(),
+        listener: () => {
+          this._stopWatchingAdvertisements();
+          resolve();
+        },
+        reject,
+      };
+
+      this._advertisementWatch = watch;
+
+      device.addEventListener('advertisementreceived', watch.listener);
+      device.watchAdvertisements({signal: watch.controller.signal}).
+          catch((error) => {
+            if (this._advertisementWatch === watch) {
+              this._log(error, 'Connecting without waiting for ' +
+                'advertisements');
+              watch.listener();
+            }
+          });
+    });
+  }
+
+  /**
+   * Disconnect from the device and drop it.
+   */
+  disconnect() {
+    this._stopWatchingAdvertisements(BleTransport._watchCancelled());
+
+    const device = this._device;
+
+    if (device) {
+      this._log('Disconnecting from "' + device.name +
+        '" bluetooth device...');
+
+      device.removeEventListener('gattserverdisconnected',
+          this._boundHandleDisconnection);
+
+      if (device.gatt.connected) {
+        device.gatt.disconnect();
+        this._log('"' + device.name + '" bluetooth device disconnected');
+      } else {
+        this._log('"' + device.name +
+          '" bluetooth device is already disconnected');
+      }
+    }
+
+    if (this._notifyCharacteristic) {
+      this._notifyCharacteristic.removeEventListener(
+          'characteristicvaluechanged',
+          this._boundHandleCharacteristicValueChanged);
+      this._notifyCharacteristic = null;
+    }
+
+    this._writeCharacteristic = null;
+    this._device = null;
+  }
+
+  /**
+   * Revoke the permission to the device, it has to be selected in the
+   * chooser again to connect.
+   * @param {Object} device - Device used before
+   * @return {Promise} Promise which will be fulfilled when the device will be
+   *                   forgotten
+   */
+  forget(device) {
+    if (typeof device.forget !== 'function') {
+      this._log('Forgetting bluetooth devices is not supported');
+      return Promise.resolve();
+    }
+
+    return device.forget().
+        then(() => this._log('"' + device.name +
+          '" bluetooth device forgotten'));
+  }
+
+  /**
+   * Check if the device is connected and the characteristic to write to is
+   * found.
+   * @return {boolean}
+   */
+  isConnected() {
+    return Boolean(this._device && this._device.gatt.connected &&
+      this._writeCharacteristic);
+  }
+
+  /**
+   * Write value with response if supported.
+   * @param {Uint8Array} bytes
+   * @return {Promise}
+   */
+  write(bytes) {
+    const characteristic = this._writeCharacteristic;
+
+    if (!characteristic) {
+      return Promise.reject(new Error('There is no connected device'));
+    }
+
+    return characteristic.writeValueWithResponse &&
+      characteristic.properties && characteristic.properties.write ?
+      characteristic.writeValueWithResponse(bytes) :
+      characteristic.writeValue(bytes);
+  }
+
+  /**
+   * Get max characteristic value length.
+   * @return {number}
+   */
+  getMaxWriteLength() {
+    return 20;
+  }
+
+  /**
+   * Get the device used, connected or not.
+   * @return {?Object} Device or null if there is no device selected
+   */
+  getDevice() {
+    return this._device;
+  }
+
+  /**
+   * Get the device name.
+   * @return {string} Device name or empty string if there is no device
+   */
+  getDeviceName() {
+    return this._device ? this._device.name : '';
+  }
+
+  /**
+   * Explore services and characteristics of the connected device, the used
+   * service and optional ones are accessible only.
+   * @return {Promise<Array<Object>>} Promise which will be fulfilled with
+   *                                  services having `uuid` and
+   *                                  `characteristics` fields, every
+   *                                  characteristic has `uuid`, `properties`
+   *                                  and `use` fields, the latter is `notify`,
+   *                                  `write`, both or empty
+   */
+  explore() {
+    if (!this._device || !this._device.gatt.connected) {
+      return Promise.reject(new Error('There is no connected device'));
+    }
+
+    return this._device.gatt.getPrimaryServices().
+        then((services) => Promise.all(services.map((service) =>
+          service.getCharacteristics().
+              catch(() => []). // Service without characteristics.
+              then((characteristics) => ({
+                uuid: service.uuid,
+                characteristics: characteristics.map((characteristic) => ({
+                  uuid: characteristic.uuid,
+                  properties: this._getSupportedProperties(characteristic),
+                  use: [
+                    characteristic === this._notifyCharacteristic ?
+                      'notify' : '',
+                    characteristic === this._writeCharacteristic ?
+                      'write' : '',
+                  ].filter(Boolean).join(', '),
+                })),
+              })))));
+  }
+
+  /**
+   * Request bluetooth device.
+   * @return {Promise}
+   * @private
+   */
+  _requestBluetoothDevice() {
+    this._log('Requesting bluetooth device...');
+
+    const filter = {services: [this._serviceUuid]};
+
+    if (this._namePrefix) {
+      filter.namePrefix = this._namePrefix;
+    }
+
+    return navigator.bluetooth.requestDevice({
+      filters: [filter],
+      optionalServices: this._optionalServices,
+    }).
+        then((device) => {
+          this._log('"' + device.name + '" bluetooth device selected');
+          this._useDevice(device);
+
+          return this._device;
+        });
+  }
+
+  /**
+   * Remember device and listen to its disconnection.
+   * @param {Object} device
+   * @private
+   */
+  _useDevice(device) {
+    this._device = device;
+    this._device.addEventListener('gattserverdisconnected',
+        this._boundHandleDisconnection);
+  }
+
+  /**
+   * Stop waiting for the device to advertise.
+   * @param {Error} [error] - Reject the waiting promise with this error
+   * @private
+   */
+  _stopWatchingAdvertisements(error) {
+    const watch = this._advertisementWatch;
+
+    if (!watch) {
+      return;
+    }
+
+    this._advertisementWatch = null;
+    watch.device.removeEventListener('advertisementreceived', watch.listener);
+    watch.controller.abort();
+
+    if (error) {
+      watch.reject(error);
+    }
+  }
+
+  /**
+   * Connect device and cache characteristic.
+   * @param {Object} device
+   * @return {Promise}
+   * @private
+   */
+  _connectDeviceAndCacheCharacteristic(device) {
+    // Check remembered characteristics.
+    if (device.gatt.connected && this._notifyCharacteristic) {
+      return Promise.resolve(this._notifyCharacteristic);
+    }
+
+    this._log('Connecting to GATT server...');
+
+    return device.gatt.connect().
+        then((server) => {
+          this._log('GATT server connected', 'Getting service...');
+
+          return server.getPrimaryService(this._serviceUuid).
+              catch((error) => Promise.reject(new Error('Service ' +
+                this._serviceUuid + ' is not found on "' + device.name +
+                '" bluetooth device: ' + error.message)));
+        }).
+        then((service) => {
+          this._log('Service found', 'Getting characteristics...');
+
+          return this._getCharacteristic(service, this._characteristicUuid,
+              'notify').
+              then((notifyCharacteristic) => this._getWriteCharacteristic(
+                  service, notifyCharacteristic).
+                  then((writeCharacteristic) => {
+                    // Remember characteristics.
+                    this._notifyCharacteristic = notifyCharacteristic;
+                    this._writeCharacteristic = writeCharacteristic;
+
+                    return notifyCharacteristic;
+                  }));
+        });
+  }
+
+  /**
+   * Get characteristic to write to.
+   * @param {Object} service
+   * @param {Object} notifyCharacteristic - Characteristic to receive from
+   * @return {Promise}
+   * @private
+   */
+  _getWriteCharacteristic(service, notifyCharacteristic) {
+    if (this._writeCharacteristicUuid !== null) {
+      return this._getCharacteristic(service, this._writeCharacteristicUuid,
+          'write');
+    }
+
+    if (BleTransport._supports(notifyCharacteristic, 'write')) {
+      return Promise.resolve(notifyCharacteristic);
+    }
+
+    return service.getCharacteristics().
+        then((characteristics) => {
+          const characteristic = characteristics.find((characteristic) =>
+            BleTransport._supports(characteristic, 'write'));
+
+          if (!characteristic) {
+            return Promise.reject(new Error('Service ' + service.uuid +
+              ' has no characteristic to write to'));
+          }
+
+          this._log('Characteristic ' + characteristic.uuid + ' found ' +
+            this._formatProperties(characteristic) + ' to write to');
+
+          return characteristic;
+        });
+  }
+
+  /**
+   * Get characteristic and check that it can be used as required.
+   * @param {Object} service
+   * @param {!(number|string)} uuid
+   * @param {string} use - `notify` or `write`
+   * @return {Promise}
+   * @private
+   */
+  _getCharacteristic(service, uuid, use) {
+    return service.getCharacteristic(uuid).
+        catch((error) => Promise.reject(new Error('Characteristic ' + uuid +
+          ' is not found in service ' + service.uuid + ': ' +
+          error.message))).
+        then((characteristic) => {
+          if (!BleTransport._supports(characteristic, use)) {
+            return Promise.reject(new Error('Characteristic ' + uuid +
+              ' can\'t be used to ' + use + ', its properties are ' +
+              this._formatProperties(characteristic)));
+          }
+
+          this._log('Characteristic ' + characteristic.uuid + ' found ' +
+            this._formatProperties(characteristic) + ' to ' + use);
+
+          return characteristic;
+        });
+  }
+
+  /**
+   * Get names of properties supported by characteristic.
+   * @param {Object} characteristic
+   * @return {Array<string>}
+   * @private
+   */
+  _getSupportedProperties(characteristic) {
+    return Object.keys(characteristic.properties).
+        filter((property) => characteristic.properties[property] === true).
+        map((property) => property.toUpperCase());
+  }
+
+  /**
+   * Format properties supported by characteristic to log.
+   * @param {Object} characteristic
+   * @return {string}
+   * @private
+   */
+  _formatProperties(characteristic) {
+    return '[' + this._getSupportedProperties(characteristic).join(', ') + ']';
+  }
+
+  /**
+   * Start notifications.
+   * @param {Object} characteristic
+   * @return {Promise}
+   * @private
+   */
+  _startNotifications(characteristic) {
+    this._log('Starting notifications...');
+
+    return characteristic.startNotifications().
+        then(() => {
+          this._log('Notifications started');
+
+          characteristic.addEventListener('characteristicvaluechanged',
+              this._boundHandleCharacteristicValueChanged);
+        });
+  }
+
+  /**
+   * Handle disconnection, the device is kept to reconnect.
+   * @param {Object} event
+   * @private
+   */
+  _handleDisconnection(event) {
+    this._log('"' + event.target.name + '" bluetooth device disconnected');
+    this.emit('connectionLost');
+  }
+
+  /**
+   * Handle characteristic value changed.
+   * @param {Object} event
+   * @private
+   */
+  _handleCharacteristicValueChanged(event) {
+    this.emit('data', TapFrame.toBytes(event.target.value).slice());
+  }
+
+  /**
+   * Check if characteristic can be used to receive notifications or to write.
+   * @param {Object} characteristic
+   * @param {string} use - `notify` or `write`
+   * @return {boolean}
+   * @private
+   */
+  static _supports(characteristic, use) {
+    const properties = characteristic.properties;
+
+    return use === 'notify' ? properties.notify || properties.indicate :
+      properties.write || properties.writeWithoutResponse;
+  }
+
+  /**
+   * Create error rejecting the promise of the cancelled waiting for the
+   * device to advertise.
+   * @return {Error}
+   * @private
+   */
+  static _watchCancelled() {
+    return new Error('Waiting for the device to advertise is cancelled');
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = BleTransport;
+}
@@ -1,33 +1,121 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.BleTransport = require('./BleTransport');
+  global.CardAuthorizationProvider = require('./CardAuthorizationProvider');
+  global.EventEmitter = require('./EventEmitter');
+  global.PourWatchdog = require('./PourWatchdog');
+  global.TapCommandTable = require('./TapCommandTable');
+  global.TapConfigStore = require('./TapConfigStore');
+  global.TapFrame = require('./TapFrame');
+  global.TapLink = require('./TapLink');
+  global.TapProtocol = require('./TapProtocol');
+  global.TapRegistry = require('./TapRegistry');
+  global.TapSession = require('./TapSession');
+  global.WriteQueue = require('./WriteQueue');
+}
+
 /**
- * Bluetooth Terminal class.
+ * Bluetooth Terminal class running the tap protocol over a transport, Bluetooth
+ * unless set otherwise with `setTransport`. Emits events of the pour sessions,
+ * see `TapSession`, `frameRejected` with frames not expected by the session,
+ * `connectionStateChange` with the state and the reconnection attempt,
+ * `dataReceived` with bytes of every chunk received by the transport,
+ * `frameReceived` and `frameSent` with bytes of every frame received and every
+ * frame, bytes or text delivered, `watchdog` with the session and the reason
+ * when the watchdog closes the tap, `handshake` with the long device ID and the
+ * verification result when the tap introduces itself, `transactionQueued` with
+ * the transaction recorded for the finished pour.
  */
-class BluetoothTerminal {
+class BluetoothTerminal extends EventEmitter {
   /**
    * Create preconfigured Bluetooth Terminal instance.
    * @param {!(number|string)} [serviceUuid=0xFFE0] - Service UUID
    * @param {!(number|string)} [characteristicUuid=0xFFE1] - Characteristic UUID
+   *                                                      to receive data
+   *                                                      with notifications
    * @param {string} [receiveSeparator='\n'] - Receive separator
    * @param {string} [sendSeparator='\n'] - Send separator
    */
   constructor(serviceUuid = 0x0001, characteristicUuid = 0x0003,
-    receiveSeparator = '\n', sendSeparator = '\n') {
-    // Used private variables.
-    this._receiveBuffer = ''; // Buffer containing not separated data.
-    this._maxCharacteristicValueLength = 20; // Max characteristic value length.
-    this._device = null; // Device object cache.
-    this._characteristic = null; // Characteristic object cache.
+      receiveSeparator = '\n', sendSeparator = '\n') {
+    super();
+
+    // Bluetooth transport configured with the setters below, used unless
+    // another transport is set.
+    this._bluetooth = new BleTransport(serviceUuid, characteristicUuid);
+    this._transport = null; // Transport used.
+
+    // Queue writing text chunks and frames one at a time.
+    this._writeQueue = new WriteQueue(() =>
+      this._transport.isConnected() ? this._transport : null);
 
     this._deviceId = null;
     this._rfIdNumber = null;
-
-    // Bound functions used to add and remove appropriate event handlers.
-    this._boundHandleDisconnection = this._handleDisconnection.bind(this);
-    this._boundHandleCharacteristicValueChanged =
-      this._handleCharacteristicValueChanged.bind(this);
+    this._session = null; // Current or last pour session.
+
+    // Connection state and reconnection with exponential backoff.
+    this._connectionState = BluetoothTerminal.DISCONNECTED;
+    this._reconnection = {
+      maxAttempts: 5,
+      initialDelay: 500,
+      maxDelay: 30000,
+      factor: 2,
+    };
+    this._reconnectionTimer = null;
+    this._recovering = false; // Session needs reconciliation after reconnect.
+    this._advertisementWait = null; // Waiting for the device to advertise.
+
+    // Watchdog closing the tap when the pour takes too long or stalls.
+    this._watchdog = new PourWatchdog((session, reason) =>
+      this._handleWatchdog(session, reason));
+
+    // Cards are denied unless the provider allows them in time.
+    this._authorizationProvider = new CardAuthorizationProvider();
+    this._authorizationTimeout = 5000;
+
+    // Store answering tap configuration commands, defaults are used if none.
+    this._configStore = null;
+
+    // Catalog of products assigned to taps, the configured price is used if
+    // none or the tap has no product.
+    this._productCatalog = null;
+
+    // Tracker of keg levels, pours are not capped by the keg if none.
+    this._kegTracker = null;
+
+    // Ledger of customer balances, balances are not tracked if none.
+    this._ledger = null;
+
+    // Outbox of finished pours, transactions are not recorded if none.
+    this._outbox = null;
+
+    // Registry of known taps, any tap is accepted if none.
+    this._tapRegistry = null;
+    this._tapVerified = false; // Tap has passed the handshake.
+    this._challenge = null; // Challenge waiting for the tap response.
+    this._challengeTimeout = 5000;
+
+    // Sequence numbers and checksums of protocol v2, offered to the tap.
+    this._link = new TapLink();
+    this._maxProtocolVersion = 2;
+
+    // Tap commands dispatched by code, more can be registered.
+    this._commands = new TapCommandTable(BluetoothTerminal.COMMANDS);
+
+    // Handler of incoming data, tap protocol unless set otherwise.
+    this._protocol = null;
+    this.setProtocol(new TapProtocol());
+
+    // Bound functions used to add and remove transport event handlers.
+    this._boundHandleData = this._handleData.bind(this);
+    this._boundHandleConnectionLost = this._handleConnectionLost.bind(this);
+    this._boundLog = (...messages) => this._log(...messages);
 
     // Configure with specified parameters.
-    this.setServiceUuid(serviceUuid);
-    this.setCharacteristicUuid(characteristicUuid);
+    this.setTransport(null);
     this.setReceiveSeparator(receiveSeparator);
     this.setSendSeparator(sendSeparator);
   }
@@ -37,15 +125,82 @@ class BluetoothTerminal {
    * @param {!(number|string)} uuid - Service UUID
    */
   setServiceUuid(uuid) {
-    this._serviceUuid = uuid;
+    this._bluetooth.setServiceUuid(uuid);
   }
 
   /**
-   * Set number or string representing characteristic UUID used.
+   * Set number or string representing UUID of the characteristic used to
+   * receive data, it must support notifications.
    * @param {!(number|string)} uuid - Characteristic UUID
    */
   setCharacteristicUuid(uuid) {
-    this._characteristicUuid = uuid;
+    this._bluetooth.setCharacteristicUuid(uuid);
+  }
+
+  /**
+   * Set number or string representing UUID of the characteristic used to
+   * send data, RX characteristic of the Nordic UART service for example. If
+   * null, the characteristic used to receive data is used if it supports
+   * writing, the first writable characteristic of the service otherwise.
+   * @param {?(number|string)} uuid - Characteristic UUID
+   */
+  setWriteCharacteristicUuid(uuid) {
+    this._bluetooth.setWriteCharacteristicUuid(uuid);
+  }
+
+  /**
+   * Set services to request access to besides the used one, to list them in
+   * the explorer.
+   * @param {Array<(number|string)>} uuids - Service UUIDs
+   */
+  setOptionalServices(uuids) {
+    this._bluetooth.setOptionalServices(uuids);
+  }
+
+  /**
+   * Set prefix of the device name, the chooser lists only devices with this
+   * prefix having the used service.
+   * @param {?string} prefix - Name prefix or null to list all devices having
+   *                           the used service
+   */
+  setNamePrefix(prefix) {
+    this._bluetooth.setNamePrefix(prefix);
+  }
+
+  /**
+   * Set transport to exchange bytes with the tap, the connected one is
+   * disconnected.
+   * @param {?Transport} transport - Transport or null to use Bluetooth
+   *                                 configured with the setters above
+   */
+  setTransport(transport) {
+    transport = transport || this._bluetooth;
+
+    if (transport === this._transport) {
+      return;
+    }
+
+    if (this._transport) {
+      this.disconnect();
+      this._transport.
+          off('data', this._boundHandleData).
+          off('connectionLost', this._boundHandleConnectionLost).
+          off('log', this._boundLog);
+    }
+
+    this._transport = transport;
+    this._transport.
+        on('data', this._boundHandleData).
+        on('connectionLost', this._boundHandleConnectionLost).
+        on('log', this._boundLog);
+  }
+
+  /**
+   * Get transport used.
+   * @return {Transport}
+   */
+  getTransport() {
+    return this._transport;
   }
 
   /**
@@ -66,6 +221,14 @@ class BluetoothTerminal {
     this._receiveSeparator = separator;
   }
 
+  /**
+   * Get separator for data coming from the connected device.
+   * @return {string}
+   */
+  getReceiveSeparator() {
+    return this._receiveSeparator;
+  }
+
   /**
    * Set string representing separator for data coming to the connected
    * device, end of line for example.
@@ -84,27 +247,297 @@ class BluetoothTerminal {
   }
 
   /**
-   * Launch Bluetooth device chooser and connect to the selected device.
+   * Set protocol handler of incoming data, it can be changed while connected.
+   * @param {ProtocolHandler} handler - `TapProtocol`, `TextLineProtocol` or
+   *                                    own handler
+   */
+  setProtocol(handler) {
+    if (this._protocol) {
+      this._protocol.detach();
+    }
+
+    this._protocol = handler;
+    this._protocol.attach(this);
+  }
+
+  /**
+   * Get protocol handler of incoming data.
+   * @return {ProtocolHandler}
+   */
+  getProtocol() {
+    return this._protocol;
+  }
+
+  /**
+   * Register tap command for newer firmware or replace the built-in one.
+   * @param {Object} command - Command description, see `TapCommandTable`
+   */
+  registerCommand(command) {
+    this._commands.register(command);
+  }
+
+  /**
+   * Get table of tap commands.
+   * @return {TapCommandTable}
+   */
+  getCommands() {
+    return this._commands;
+  }
+
+  /**
+   * Set provider used to authorize RFID cards reported by the tap.
+   * @param {CardAuthorizationProvider} provider - Authorization provider
+   */
+  setAuthorizationProvider(provider) {
+    this._authorizationProvider = provider;
+  }
+
+  /**
+   * Set time to wait for the authorization provider, the card is denied if
+   * the provider does not respond in time.
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  setAuthorizationTimeout(timeout) {
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error('Timeout must be a positive number');
+    }
+
+    this._authorizationTimeout = timeout;
+  }
+
+  /**
+   * Set store providing configuration of the connected tap.
+   * @param {TapConfigStore} store - Tap configuration store
+   */
+  setConfigStore(store) {
+    this._configStore = store;
+  }
+
+  /**
+   * Set catalog of products assigned to taps, the price of the product
+   * assigned to the connected tap is answered to command 43 instead of the
+   * configured one.
+   * @param {?ProductCatalog} catalog - Product catalog
+   */
+  setProductCatalog(catalog) {
+    this._productCatalog = catalog;
+  }
+
+  /**
+   * Set tracker to subtract dispensed amounts from the keg of the connected
+   * tap, the volume limit answered to command 42 is capped by the volume left
+   * in the keg.
+   * @param {?KegTracker} tracker - Keg tracker
+   */
+  setKegTracker(tracker) {
+    this._kegTracker = tracker;
+  }
+
+  /**
+   * Set ledger to hold funds for authorized pours, debit finished ones and
+   * report available balance to the tap.
+   * @param {CustomerLedger} ledger - Customer ledger
+   */
+  setLedger(ledger) {
+    this._ledger = ledger;
+  }
+
+  /**
+   * Set outbox to record finished pours as transactions in, they are posted
+   * to the backend from it.
+   * @param {?TransactionOutbox} outbox - Transaction outbox
+   */
+  setOutbox(outbox) {
+    this._outbox = outbox;
+  }
+
+  /**
+   * Set registry of known taps, unknown taps are replied with 0 to command 21
+   * and frames from them are rejected. Taps with a shared secret have to
+   * answer the challenge with command 22 first.
+   * @param {?TapRegistry} registry - Tap registry or null to accept any tap
+   */
+  setTapRegistry(registry) {
+    this._tapRegistry = registry;
+  }
+
+  /**
+   * Set the highest protocol version offered to the tap with the reply to
+   * command 21, the tap switches to it with command 23 if it supports it.
+   * @param {number} version - 1 to keep protocol v1 or 2 to offer v2
+   */
+  setMaxProtocolVersion(version) {
+    if (!TapLink.VERSIONS.includes(version)) {
+      throw new Error('Protocol version must be one of ' +
+        TapLink.VERSIONS.join(', '));
+    }
+
+    this._maxProtocolVersion = version;
+  }
+
+  /**
+   * Get protocol version used with the connected tap.
+   * @return {number} 1 or 2
+   */
+  getProtocolVersion() {
+    return this._link.getVersion();
+  }
+
+  /**
+   * Set reconnection options used when the device disconnects by itself.
+   * @param {Object} options - Options to change
+   * @param {number} [options.maxAttempts=5] - Attempts before giving up
+   * @param {number} [options.initialDelay=500] - Delay before the first
+   *                                              attempt in milliseconds
+   * @param {number} [options.maxDelay=30000] - Max delay in milliseconds
+   * @param {number} [options.factor=2] - Delay multiplier for every next
+   *                                      attempt
+   */
+  setReconnectionOptions(options) {
+    Object.keys(options).forEach((option) => {
+      if (!(option in this._reconnection)) {
+        throw new Error('Unknown reconnection option ' + option);
+      }
+
+      if (!Number.isFinite(options[option]) || options[option] < 0) {
+        throw new Error('Reconnection option ' + option +
+          ' must be a non-negative number');
+      }
+    });
+
+    Object.assign(this._reconnection, options);
+  }
+
+  /**
+   * Set options of writing to the connected device.
+   * @param {Object} options - Options to change
+   * @param {number} [options.timeout=2000] - Time to wait for every write
+   *                                          in milliseconds
+   * @param {number} [options.retries=2] - Retries of the failed write
+   * @param {number} [options.retryDelay=100] - Delay before retry in
+   *                                            milliseconds
+   */
+  setWriteOptions(options) {
+    this._writeQueue.setOptions(options);
+  }
+
+  /**
+   * Set limits of the pour watchdog, zero disables the limit.
+   * @param {Object} options - Options to change
+   * @param {number} [options.startTimeout=60000] - Time for the customer to
+   *                                                open the configured tap in
+   *                                                milliseconds
+   * @param {number} [options.maxDuration=120000] - Max pour duration in
+   *                                                milliseconds
+   * @param {number} [options.maxSilence=10000] - Max time between progress
+   *                                              frames in milliseconds
+   * @param {number} [options.closeTimeout=5000] - Time for the closing tap to
+   *                                               finish the session in
+   *                                               milliseconds
+   */
+  setWatchdogOptions(options) {
+    this._watchdog.setOptions(options);
+  }
+
+  /**
+   * Get connection state.
+   * @return {string} One of `BluetoothTerminal.DISCONNECTED`, `CONNECTING`,
+   *                  `CONNECTED`, `RECONNECTING` or `FAILED`
+   */
+  getConnectionState() {
+    return this._connectionState;
+  }
+
+  /**
+   * Launch the device chooser of the transport and connect to the selected
+   * device, or connect to the given one.
+   * @param {*} [device] - Device permitted before, see
+   *                       `navigator.bluetooth.getDevices()` for example
+   * @return {Promise} Promise which will be fulfilled when data can be
+   *                   exchanged or rejected if something went wrong
+   */
+  connect(device = null) {
+    if (device && device !== this._transport.getDevice()) {
+      this.disconnect();
+    }
+
+    this._cancelReconnection();
+    this._advertisementWait = null;
+    this._setConnectionState(BluetoothTerminal.CONNECTING);
+
+    return this._transport.connect(device).
+        then(() => this._setConnectionState(BluetoothTerminal.CONNECTED)).
+        catch((error) => {
+          this._log(error);
+          this._setConnectionState(BluetoothTerminal.DISCONNECTED);
+          return Promise.reject(error);
+        });
+  }
+
+  /**
+   * Connect to the Bluetooth device permitted before once it advertises,
+   * that is once it is in range and powered. Connects right away if the
+   * browser can't watch advertisements. Switches to the Bluetooth transport.
+   * @param {Object} device - Device permitted before, see
+   *                          `navigator.bluetooth.getDevices()`
    * @return {Promise} Promise which will be fulfilled when notifications will
-   *                   be started or rejected if something went wrong
+   *                   be started or rejected if something went wrong or
+   *                   waiting is cancelled with `disconnect()`
    */
-  connect() {
-    return this._connectToDevice(this._device);
+  connectWhenAdvertised(device) {
+    this.setTransport(null);
+
+    if (device !== this._bluetooth.getDevice()) {
+      this.disconnect();
+    }
+
+    this._setConnectionState(BluetoothTerminal.CONNECTING);
+
+    const wait = {device};
+    this._advertisementWait = wait;
+
+    return this._bluetooth.waitForAdvertisement(device).
+        catch((error) => {
+          // Skip if waiting is cancelled by another connection attempt or
+          // by disconnecting, they have set the state already.
+          if (this._advertisementWait === wait) {
+            this._advertisementWait = null;
+            this._log('Device is not connected', error);
+            this._setConnectionState(BluetoothTerminal.DISCONNECTED);
+          }
+
+          return Promise.reject(error);
+        }).
+        then(() => this.connect());
   }
 
   /**
    * Disconnect from the connected device.
    */
   disconnect() {
-    this._disconnectFromDevice(this._device);
+    this._cancelReconnection();
+    this._advertisementWait = null;
+    this._transport.disconnect();
+    this._protocol.reset();
+    this._writeQueue.clear(new Error('Device has been disconnected'));
+    this._recovering = false;
+    this._resetVerification();
+    this._setConnectionState(BluetoothTerminal.DISCONNECTED);
+  }
 
-    if (this._characteristic) {
-      this._characteristic.removeEventListener('characteristicvaluechanged',
-        this._boundHandleCharacteristicValueChanged);
-      this._characteristic = null;
-    }
+  /**
+   * Disconnect and revoke the permission to the device, it has to be
+   * selected in the chooser again to connect.
+   * @return {Promise} Promise which will be fulfilled when the device will be
+   *                   forgotten
+   */
+  forget() {
+    const transport = this._transport;
+    const device = transport.getDevice();
 
-    this._device = null;
+    this.disconnect();
+
+    return device ? transport.forget(device) : Promise.resolve();
   }
 
   /**
@@ -116,31 +549,41 @@ class BluetoothTerminal {
     // Handle incoming data.
   }
 
+  /**
+   * Frame receiving handler which called by the tap protocol handler whenever
+   * the new frame comes from the connected tap.
+   * @param {TapFrame} frame - Frame
+   */
+  receiveFrame(frame) {
+    this._connectionDataReceive(frame);
+  }
+
+  /**
+   * Diagnostic handler which called whenever something unexpected happens to
+   * the incoming data, override it to collect diagnostic events, they are
+   * logged by default.
+   * @param {Object} event - Diagnostic event
+   * @param {string} event.type - Event type, `resync` when corrupted bytes
+   *                              were dropped, `unknownCommand` when the
+   *                              tap sent command not registered,
+   *                              `frameError` when the frame could not be
+   *                              decoded or handled
+   */
+  diagnostic(event) {
+    this._log('Diagnostic event ' + JSON.stringify(event));
+  }
+
+  /**
+   * Send command 21 with the short device ID as if it came from the tap, used
+   * to check the link with the tap firmware.
+   * @return {Promise} Promise which will be fulfilled when the frame will be
+   *                   sent or rejected if something went wrong
+   */
   sendNew() {
-    try {
-      var buffer = new ArrayBuffer(11) // array buffer for two bytes
-      var newData = new Uint8Array(buffer) // views the buffer as an array of 8 bit integers
-      var deviceId = 2000;
-      newData[0] = 21;
-      newData[1] = (deviceId & 0xFF000000) >> 24;
-      newData[2] = (deviceId & 0x00FF0000) >> 16;
-      newData[3] = (deviceId & 0x0000FF00) >> 8;
-      newData[4] = (deviceId & 0xFF0000FF);
-      newData[5] = 0;
-      newData[6] = 0;
-      newData[7] = 0;
-      newData[8] = 0;
-      newData[9] = 253;
-      newData[10] = 10;
-      this._log("first sending new 1");
-      this._characteristic.writeValue(newData);
-      //this._log("first sent new");
-      //this._characteristic.writeValue( new TextEncoder().encode(newData));  
-      this._log("first sent new");
-    } catch (err) {
-      this._log(err);
-    }
+    return this._sendFrame(new TapFrame(TapFrame.HANDSHAKE, 2000,
+        {direction: TapFrame.DEVICE}));
   }
+
   /**
    * Send data to the connected device.
    * @param {string} data - Data
@@ -158,35 +601,56 @@ class BluetoothTerminal {
 
     data += this._sendSeparator;
 
-    // Split data to chunks by max characteristic value length.
-    const chunks = this.constructor._splitByLength(data,
-      this._maxCharacteristicValueLength);
-
     // Return rejected promise immediately if there is no connected device.
-    if (!this._characteristic) {
+    if (!this._transport.isConnected()) {
       return Promise.reject(new Error('There is no connected device'));
     }
 
-    // Write first chunk to the characteristic immediately.
-    let promise = this._writeToCharacteristic(this._characteristic, chunks[0]);
+    // Queue all chunks at once, so no frame gets in between.
+    return this._writeBytes(new TextEncoder().encode(data));
+  }
+
+  /**
+   * Send raw bytes to the connected device, as typed in hex for example.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data - Bytes
+   * @return {Promise} Promise which will be fulfilled when bytes will be sent
+   *                   or rejected if something went wrong
+   */
+  sendBytes(data) {
+    const bytes = TapFrame.toBytes(data);
 
-    // Iterate over chunks if there are more than one of it.
-    for (let i = 1; i < chunks.length; i++) {
-      // Chain new promise.
-      promise = promise.then(() => new Promise((resolve, reject) => {
-        // Reject promise if the device has been disconnected.
-        if (!this._characteristic) {
-          reject(new Error('Device has been disconnected'));
-        }
+    if (!bytes.length) {
+      return Promise.reject(new Error('Data must be not empty'));
+    }
 
-        // Write chunk to the characteristic and resolve the promise.
-        this._writeToCharacteristic(this._characteristic, chunks[i]).
-        then(resolve).
-        catch(reject);
-      }));
+    if (!this._transport.isConnected()) {
+      return Promise.reject(new Error('There is no connected device'));
     }
 
-    return promise;
+    return this._writeBytes(bytes);
+  }
+
+  /**
+   * Explore services and characteristics of the connected Bluetooth device,
+   * the used service and ones set with `setOptionalServices` are accessible
+   * only. Other transports reject it.
+   * @return {Promise<Array<Object>>} Promise which will be fulfilled with
+   *                                  services having `uuid` and
+   *                                  `characteristics` fields, every
+   *                                  characteristic has `uuid`, `properties`
+   *                                  and `use` fields, the latter is `notify`,
+   *                                  `write`, both or empty
+   */
+  explore() {
+    return this._transport.explore();
+  }
+
+  /**
+   * Get the device used, connected or not.
+   * @return {*} Device or null if there is no device selected
+   */
+  getDevice() {
+    return this._transport.getDevice();
   }
 
   /**
@@ -194,358 +658,826 @@ class BluetoothTerminal {
    * @return {string} Device name or empty string if not connected
    */
   getDeviceName() {
-    if (!this._device) {
-      return '';
-    }
+    return this._transport.getDeviceName();
+  }
+
+  /**
+   * Get long ID reported by the connected tap with command 21.
+   * @return {?string} Device ID or null if the tap has not reported it yet
+   */
+  getDeviceId() {
+    return this._deviceId;
+  }
+
+  /**
+   * Get current or last pour session.
+   * @return {?TapSession} Session or null if no card was reported yet
+   */
+  getSession() {
+    return this._session;
+  }
+
+  /**
+   * Get product assigned to the connected tap.
+   * @return {?Object} Product or null if the tap has no product or has not
+   *                   reported its ID yet
+   */
+  getProduct() {
+    return this._productCatalog &&
+      this._productCatalog.getAssigned(this._deviceId);
+  }
+
+  /**
+   * Get price the pour is charged at: answered to the tap with command 43,
+   * the configured one otherwise.
+   * @param {TapSession} session
+   * @return {number} Price in cents per litre
+   */
+  getSessionPrice(session) {
+    return session.config.price !== undefined ? session.config.price :
+      this._getTapConfig().price;
+  }
+
+  /**
+   * Get cost of the amount poured so far at the session price.
+   * @param {TapSession} session
+   * @return {number} Cost in cents
+   */
+  getSessionCost(session) {
+    return this.constructor._getCost(session.amount,
+        this.getSessionPrice(session));
+  }
 
-    return this._device.name;
+  /**
+   * Tell the tap to start pouring.
+   * @return {Promise}
+   */
+  startPour() {
+    return this._sendToDevice(31, 1);
   }
 
   /**
-   * Connect to device.
-   * @param {Object} device
+   * Tell the tap it is closed.
    * @return {Promise}
+   */
+  closeTap() {
+    return this._sendToDevice(45, 1);
+  }
+
+  /**
+   * Handle the transport connection lost by itself.
    * @private
    */
-  _connectToDevice(device) {
-    return (device ? Promise.resolve(device) : this._requestBluetoothDevice()).
-    then((device) => this._connectDeviceAndCacheCharacteristic(device)).
-    then((characteristic) => this._startNotifications(characteristic)).
-    catch((error) => {
+  _handleConnectionLost() {
+    this._log('Trying to reconnect to "' + this._transport.getDeviceName() +
+      '"...');
+
+    this._protocol.reset();
+    this._writeQueue.clear(new Error('Device has been disconnected'));
+    this._resetVerification();
+    this._watchdog.suspend();
+    this._reconnect(this._transport.getDevice(), 1);
+  }
+
+  /**
+   * Try to reconnect with exponential backoff, abort the session if all
+   * attempts failed.
+   * @param {*} device - Device of the transport
+   * @param {number} attempt - Attempt number starting from 1
+   * @private
+   */
+  _reconnect(device, attempt) {
+    const transport = this._transport;
+    const name = transport.getDeviceName();
+
+    if (attempt > this._reconnection.maxAttempts) {
+      this._log('"' + name + '" ' + transport.getType() + ' device is not ' +
+        'reconnected after ' + this._reconnection.maxAttempts + ' attempts');
+      this._setConnectionState(BluetoothTerminal.FAILED);
+
+      if (this._session) {
+        this._session.abort(TapSession.CONNECTION_LOST);
+      }
+
+      return;
+    }
+
+    const delay = Math.min(this._reconnection.maxDelay,
+        this._reconnection.initialDelay *
+        Math.pow(this._reconnection.factor, attempt - 1));
+
+    this._setConnectionState(BluetoothTerminal.RECONNECTING, attempt);
+
+    this._reconnectionTimer = setTimeout(() => {
+      this._reconnectionTimer = null;
+
+      transport.connect().
+          then(() => {
+            // Skip if disconnected by the user in the meantime.
+            if (!this._isUsing(transport, device)) {
+              return;
+            }
+
+            this._log('"' + name + '" ' + transport.getType() +
+              ' device reconnected');
+            this._recovering = Boolean(this._session &&
+              this._session.isActive());
+            this._watchdog.resume();
+            this._setConnectionState(BluetoothTerminal.CONNECTED);
+          }).
+          catch((error) => {
+            this._log(error);
+
+            if (this._isUsing(transport, device)) {
+              this._reconnect(device, attempt + 1);
+            }
+          });
+    }, delay);
+  }
+
+  /**
+   * Check if the device of the transport is still used.
+   * @param {Transport} transport
+   * @param {*} device
+   * @return {boolean}
+   * @private
+   */
+  _isUsing(transport, device) {
+    return this._transport === transport && transport.getDevice() === device;
+  }
+
+  /**
+   * Cancel scheduled reconnection attempt.
+   * @private
+   */
+  _cancelReconnection() {
+    if (this._reconnectionTimer) {
+      clearTimeout(this._reconnectionTimer);
+      this._reconnectionTimer = null;
+    }
+  }
+
+  /**
+   * Set connection state and emit `connectionStateChange` if it changes.
+   * @param {string} state
+   * @param {number} [attempt=0] - Reconnection attempt
+   * @private
+   */
+  _setConnectionState(state, attempt = 0) {
+    if (state === this._connectionState && !attempt) {
+      return;
+    }
+
+    this._connectionState = state;
+    this.emit('connectionStateChange', state, attempt);
+  }
+
+  /**
+   * Handle bytes received by the transport.
+   * @param {Uint8Array} data
+   * @private
+   */
+  _handleData(data) {
+    this._log('Data Received');
+    this.emit('dataReceived', TapFrame.toBytes(data).slice());
+
+    try {
+      this._protocol.receive(data);
+    } catch (error) {
       this._log(error);
-      return Promise.reject(error);
-    });
+    }
   }
 
   /**
-   * Disconnect from device.
-   * @param {Object} device
+   * Handle frame received from the tap.
+   * @param {TapFrame} frame
    * @private
    */
-  _disconnectFromDevice(device) {
-    if (!device) {
+  _connectionDataReceive(frame) {
+    this.emit('frameReceived', frame.encode());
+
+    if (!frame.isFromDevice() || !this._checkLinkFrame(frame)) {
       return;
     }
 
-    this._log('Disconnecting from "' + device.name + '" bluetooth device...');
+    const command = this._commands.get(frame.command);
 
-    device.removeEventListener('gattserverdisconnected',
-      this._boundHandleDisconnection);
+    if (!command || command.direction !== TapFrame.DEVICE) {
+      this._log('Command ' + frame.command + (command ?
+        ' ' + command.name + ' is not expected from the tap' : ' is unknown'));
+      this.diagnostic({
+        type: 'unknownCommand',
+        command: frame.command,
+        value: frame.value,
+      });
+      return;
+    }
+
+    this._log('Command ' + frame.command + ' ' + command.name + ', ' +
+      (frame.longId !== null ? frame.longId : frame.value));
+
+    if (this._tapRegistry && !this._tapVerified &&
+      !BluetoothTerminal.HANDSHAKE_COMMANDS.includes(frame.command)) {
+      this._log('Command ' + frame.command + ' is rejected, the tap is not ' +
+        'verified');
+      this.emit('frameRejected', frame, this._session);
+      return;
+    }
 
-    if (!device.gatt.connected) {
-      this._log('"' + device.name +
-        '" bluetooth device is already disconnected');
+    if (TapSession.isSessionCommand(frame.command) &&
+      !this._acceptSessionFrame(frame)) {
+      this._log('Command ' + frame.command + ' is out of order, session is ' +
+        (this._session ? this._session.state : 'not started'));
+      this.emit('frameRejected', frame, this._session);
       return;
     }
 
-    device.gatt.disconnect();
+    const session = this._session;
+    let reply;
 
-    this._log('"' + device.name + '" bluetooth device disconnected');
+    if (command.response) {
+      reply = command.response(frame, this, session);
+      this._reply(frame.command, reply);
+    }
+
+    if (command.handler) {
+      command.handler(frame, this, session, reply);
+    }
   }
 
   /**
-   * Request bluetooth device.
-   * @return {Promise}
+   * Handle command 21, the tap introduces itself with the long device ID.
+   * @param {TapFrame} frame
    * @private
    */
-  _requestBluetoothDevice() {
-    this._log('Requesting bluetooth device...');
-    this._log('New Code with UUID 1000');
-    // let optionalServices = '6e400001-b5a3-f393-e0a9-e50e24dcca9e'
-    // .split(/, ?/).map(s => s.startsWith('0x') ? parseInt(s) : s)
-    // .filter(s => s && BluetoothUUID.getService);
+  _handleHandshake(frame) {
+    // Another tap behind the same connection can't continue the pour.
+    if (this._recovering && frame.longId !== this._session.deviceId) {
+      this._recovering = false;
+      this._session.abort(TapSession.CONNECTION_LOST);
+    }
 
-    //log('Requesting any Bluetooth Device...');
-    try {
-    return navigator.bluetooth.requestDevice({
-      acceptAllDevices: true,
-      optionalServices: [this._serviceUuid]
-    }).
-    then((device) => {
-      this._log('"' + device.name + '" bluetooth device selected');
-
-      this._device = device; // Remember device.
-      this._device.addEventListener('gattserverdisconnected',
-        this._boundHandleDisconnection);
-
-      return this._device;
-    });
+    this._deviceId = frame.longId;
+    this._resetVerification();
+
+    if (!this._tapRegistry) {
+      this._finishHandshake(BluetoothTerminal.TAP_ACCEPTED);
+      return;
+    }
+
+    const tap = this._tapRegistry.get(frame.longId);
+
+    if (!tap) {
+      this._finishHandshake(BluetoothTerminal.TAP_UNKNOWN);
+    } else if (!tap.secret) {
+      this._finishHandshake(BluetoothTerminal.TAP_ACCEPTED);
+    } else {
+      this._challengeTap(tap.secret);
+    }
   }
-  catch(ex){
-    this._log(ex);
+
+  /**
+   * Send command 22 with a random nonce in the spare bytes, the tap has to
+   * answer with the signature of the nonce in time.
+   * @param {string} secret - Shared secret of the tap in hex
+   * @private
+   */
+  _challengeTap(secret) {
+    const challenge = {
+      secret,
+      nonce: Array.from(crypto.getRandomValues(new Uint8Array(4))),
+      timer: setTimeout(() => {
+        this._log('Tap has not answered the challenge in time');
+        this._challenge = null;
+        this._finishHandshake(BluetoothTerminal.TAP_NOT_VERIFIED);
+      }, this._challengeTimeout),
+    };
+
+    this._challenge = challenge;
+
+    this._sendFrame(new TapFrame(TapFrame.CHALLENGE, 0,
+        {spare: challenge.nonce})).
+        catch((error) => this._log('Challenge is not delivered', error));
   }
+
+  /**
+   * Handle command 22, check the signature of the nonce answered by the tap.
+   * @param {TapFrame} frame - Frame with the signature in the payload and the
+   *                           nonce in the spare bytes
+   * @private
+   */
+  _handleChallengeResponse(frame) {
+    const challenge = this._challenge;
+
+    if (!challenge || challenge.answered) {
+      this._log('Challenge response is not expected');
+      return;
+    }
+
+    clearTimeout(challenge.timer);
+    challenge.answered = true;
+
+    if (frame.spare.some((byte, i) => byte !== challenge.nonce[i])) {
+      this._log('Challenge response is for another nonce');
+      this._challenge = null;
+      this._finishHandshake(BluetoothTerminal.TAP_NOT_VERIFIED);
+      return;
+    }
+
+    TapRegistry.sign(challenge.secret, challenge.nonce).
+        then((signature) => signature === frame.value ?
+          BluetoothTerminal.TAP_ACCEPTED : BluetoothTerminal.TAP_NOT_VERIFIED).
+        catch((error) => {
+          this._log('Challenge response is not checked', error);
+          return BluetoothTerminal.TAP_NOT_VERIFIED;
+        }).
+        then((result) => {
+          // Skip if the tap is disconnected or has introduced itself again.
+          if (this._challenge !== challenge) {
+            return;
+          }
+
+          this._challenge = null;
+          this._finishHandshake(result);
+        });
   }
 
   /**
-   * Connect device and cache characteristic.
-   * @param {Object} device
-   * @return {Promise}
+   * Reply to command 21 with 1 if the tap is accepted, with 0 otherwise, and
+   * emit `handshake`.
+   * @param {string} result - `BluetoothTerminal.TAP_ACCEPTED`, `TAP_UNKNOWN`
+   *                          or `TAP_NOT_VERIFIED`
    * @private
    */
-  _connectDeviceAndCacheCharacteristic(device) {
-    // Check remembered characteristic.
-    if (device.gatt.connected && this._characteristic) {
-      return Promise.resolve(this._characteristic);
+  _finishHandshake(result) {
+    this._tapVerified = result === BluetoothTerminal.TAP_ACCEPTED;
+
+    if (!this._tapVerified) {
+      this._log('Tap ' + this._deviceId + ' is ' +
+        (result === BluetoothTerminal.TAP_UNKNOWN ? 'unknown' :
+          'not verified') + ', it is not accepted');
     }
 
-    this._log('Connecting to GATT server...');
+    // Offer protocol v2 in byte 5, v1 firmware ignores it.
+    const version = this._tapVerified && this._maxProtocolVersion > 1 ?
+      this._maxProtocolVersion : 0;
 
-    return device.gatt.connect().
-    then((server) => {
-      this._log('GATT server connected', 'Getting service...');
+    this._sendFrame(new TapFrame(TapFrame.HANDSHAKE, this._tapVerified ? 1 : 0,
+        {spare: [version, 0, 0, 0]})).
+        catch((error) => this._log('Reply to command ' + TapFrame.HANDSHAKE +
+          ' is not delivered', error));
 
-      return server.getPrimaryServices();
-    }).
-    then((services) => {
-      this._log('Service found', 'Getting characteristic...');
-      var ct;
-      services.forEach(service => {
-        ct = service.getCharacteristic(this._characteristicUuid);
-      });
-      return ct;
-    }).
-    then((characteristic) => {
-      this._log('Characteristic found');
+    this.emit('handshake', this._deviceId, result);
+  }
 
-      this._characteristic = characteristic; // Remember characteristic.
+  /**
+   * Forget the handshake result, the tap has to introduce itself again.
+   * @private
+   */
+  _resetVerification() {
+    if (this._challenge) {
+      clearTimeout(this._challenge.timer);
+      this._challenge = null;
+    }
 
-      return this._characteristic;
-    });
+    this._tapVerified = false;
+    this._link.reset();
+  }
+
+  /**
+   * Handle command 23, the tap switches to the protocol version offered.
+   * @param {TapFrame} frame - Frame with the version in the payload
+   * @private
+   */
+  _handleProtocolVersion(frame) {
+    if (frame.value < 1 || frame.value > this._maxProtocolVersion) {
+      this._log('Protocol v' + frame.value + ' is not offered, v' +
+        this._link.getVersion() + ' is kept');
+      return;
+    }
+
+    this._link.setVersion(frame.value);
+    this._log('Protocol v' + frame.value + ' is used');
   }
 
+  /**
+   * Check sequence number and checksum of the frame received with protocol
+   * v2, ask the tap to retransmit frames from the expected one if it is
+   * corrupted or something is missing before it.
+   * @param {TapFrame} frame
+   * @return {boolean} True if the frame should be handled
+   * @private
+   */
+  _checkLinkFrame(frame) {
+    const status = this._link.check(frame);
+
+    if (status === TapLink.OK) {
+      return true;
+    }
+
+    this._log('Command ' + frame.command + ' is dropped, frame ' +
+      frame.spare[0] + ' is ' + (status === TapLink.GAP ?
+        'ahead of ' + this._link.getExpected() : status));
+    this.diagnostic({
+      type: status,
+      command: frame.command,
+      sequence: frame.spare[0],
+      expected: this._link.getExpected(),
+    });
 
-  _getSupportedProperties(characteristic) {
-    let supportedProperties = [];
-    for (const p in characteristic.properties) {
-      if (characteristic.properties[p] === true) {
-        supportedProperties.push(p.toUpperCase());
+    if (status !== TapLink.DUPLICATE) {
+      const sequence = this._link.takeRetransmitRequest();
+
+      if (sequence !== null) {
+        this._sendToDevice(TapLink.RETRANSMIT, sequence).
+            catch((error) => this._log(
+                'Retransmission request is not delivered', error));
       }
     }
-    return '[' + supportedProperties.join(', ') + ']';
+
+    return false;
   }
 
   /**
-   * Start notifications.
-   * @param {Object} characteristic
-   * @return {Promise}
+   * Handle command 24, retransmit frames starting from the requested one.
+   * @param {TapFrame} frame - Frame with the sequence number in the payload
    * @private
    */
-  _startNotifications(characteristic) {
-    this._log('Starting notifications...');
-    this._log(characteristic);
-    return characteristic.startNotifications().
-    then(() => {
-      this._log('Notifications started');
+  _handleRetransmit(frame) {
+    const frames = this._link.getSent(frame.value);
 
-      characteristic.addEventListener('characteristicvaluechanged',
-        this._boundHandleCharacteristicValueChanged);
-    });
+    if (!frames) {
+      this._log('Frame ' + frame.value + ' is not kept to retransmit');
+      return;
+    }
+
+    frames.forEach((sent) => this._writeBytes(sent.encode()).
+        catch((error) => this._log('Frame ' + sent.spare[0] +
+          ' is not retransmitted', error)));
   }
 
   /**
-   * Stop notifications.
-   * @param {Object} characteristic
-   * @return {Promise}
+   * Handle command 31, authorize the card, hold funds and reply if it is
+   * allowed. The pour is denied if the funds can not be held.
+   * @param {TapFrame} frame
+   * @param {TapSession} session - Session started with the card
    * @private
    */
-  _stopNotifications(characteristic) {
-    this._log('Stopping notifications...');
+  _handleCard(frame, session) {
+    const cardNumber = frame.value;
+
+    this._rfIdNumber = cardNumber;
+    this._authorizeCard(cardNumber).
+        then((status) => {
+          // Skip if the tap has reported another card in the meantime.
+          if (session !== this._session || !session.isActive()) {
+            return;
+          }
+
+          this._log('RFID Number ' + cardNumber + ' is ' + status);
+          const allowed = status === CardAuthorizationProvider.ALLOWED;
+
+          if (allowed) {
+            this._holdFunds(session);
+          }
+
+          session.setAuthorized(allowed);
+          this._reply(frame.command, allowed ? 1 : 0);
+        }).
+        catch((error) => {
+          this._log('Pour of ' + cardNumber + ' is denied', error);
+
+          // The tap waits for the reply, so it is denied.
+          if (session === this._session && session.isActive()) {
+            this._reply(frame.command, 0);
+            session.abort(TapSession.DENIED);
+          }
+        });
+  }
 
-    return characteristic.stopNotifications().
-    then(() => {
-      this._log('Notifications stopped');
+  /**
+   * Get balance reported to the tap with command 44: available funds
+   * including the hold of the session, or the configured balance if there is
+   * no ledger.
+   * @param {TapSession} session
+   * @return {number}
+   * @private
+   */
+  _getReportedBalance(session) {
+    return this._ledger ? this._ledger.getAvailable(session.cardNumber) +
+      this._ledger.getHeld(session.cardNumber, session.id) :
+      this._getTapConfig().balance;
+  }
 
-      characteristic.removeEventListener('characteristicvaluechanged',
-        this._boundHandleCharacteristicValueChanged);
-    });
+  /**
+   * Check frame against the session, starting a new one with every card.
+   * @param {TapFrame} frame
+   * @return {boolean} True if the frame is expected
+   * @private
+   */
+  _acceptSessionFrame(frame) {
+    if (this._recovering) {
+      this._recoverSession(frame);
+    }
+
+    if (this._session && !this._session.accepts(frame.command)) {
+      return false;
+    }
+
+    if (frame.command !== TapSession.CARD) {
+      return Boolean(this._session);
+    }
+
+    if (this._session) {
+      this._session.abort(TapSession.RESTARTED);
+    }
+
+    this._session = new TapSession(frame.value, this._deviceId);
+    this._watchdog.watch(this._session);
+
+    this._session.on('pourFinished', (session) => this._settlePour(session));
+    this._session.on('pourAborted', (session) => this._settlePour(session));
+
+    TapSession.EVENTS.forEach((type) => this._session.on(type,
+        (...args) => this.emit(type, ...args)));
+
+    return true;
+  }
+
+
+  /**
+   * Close the tap of the pour which takes too long or stalls, the session is
+   * settled when the tap finishes it with the amount dispensed, the operator
+   * is warned with `watchdog` event.
+   * @param {TapSession} session
+   * @param {string} reason - `TapSession.POUR_TOO_LONG` or `POUR_STALLED`
+   * @private
+   */
+  _handleWatchdog(session, reason) {
+    this._log('Pour of ' + session.cardNumber + ' is ' +
+      (reason === TapSession.POUR_TOO_LONG ? 'too long' : 'stalled') +
+      ' at ' + session.amount + ' ml, closing the tap');
+
+    this.closeTap().
+        catch((error) => this._log('Tap closed command is not delivered',
+            error));
+
+    session.close(reason);
+    this.emit('watchdog', session, reason);
   }
 
   /**
-   * Handle disconnection.
-   * @param {Object} event
-   * @private
-   */
-  _handleDisconnection(event) {
-    const device = event.target;
-
-    this._log('"' + device.name +
-      '" bluetooth device disconnected, trying to reconnect...');
-
-    this._connectDeviceAndCacheCharacteristic(device).
-    then((characteristic) => this._startNotifications(characteristic)).
-    catch((error) => this._log(error));
-  }
-
-  /**
-   * Handle characteristic value changed.
-   * @param {Object} event
-   * @private
-   */
-  _handleCharacteristicValueChanged(event) {
-    this._log("Data Received");
-    // this._log(event.target.value.getUint8(0));
-    // this._log(event.target.value.getUint8(1));
-    // this._log(event.target.value.getUint8(2));
-    // this._log(event.target.value.getUint8(3));
-    // this._log(event.target.value.getUint8(4));
-    // this._log(event.target.value.getUint8(5));
-    // this._log(event.target.value.getUint8(6));
-    // this._log(event.target.value.getUint8(7));
-    // this._log(event.target.value.getUint8(8));
-    // this._log(event.target.value.getUint8(9));
-    // this._log(event.target.value.getUint8(10));
-    //this._log(event.target.value.getUint8(11));
-    var command = event.target.value.getUint8(0);
-    var handsakeCommand = event.target.value.getUint8(9);
-    var t1 = event.target.value.getUint8(1);
-    var t2 = event.target.value.getUint8(2);
-    var t3 = event.target.value.getUint8(3);
-    var t4 = event.target.value.getUint8(4);
-    var t5 = event.target.value.getUint8(5);
-    var t6 = event.target.value.getUint8(6);
-    var t7 = event.target.value.getUint8(7);
-    var t8 = event.target.value.getUint8(8);
-    var total = 0;
-
-    if (command == 21 && handsakeCommand == 253) {
-      this._log("Receive command found");     
-      total = t1.toString(16) + t2.toString(16)  + t3.toString(16)  + t4.toString(16)  + t5.toString(16) + t6.toString(16) + t7.toString(16) + t8.toString(16);
-      this._log("Long device id - " + total);
-    }
-    else
-    {
-      total = (t1 << 24) + (t2 << 16) + (t3 << 8) + t4;
-    }
-
-    this._connectionDataReceive(command, total, handsakeCommand);
-    // let data = new DataView(event.target.value);
-    // let foo = data.getUint8(0);
-    // this._log(foo);
-    // var i = 0
-    // const value = new TextDecoder().decode(event.target.value);
-    // for (const c of value) {      
-    //   if (c === this._receiveSeparator) {
-    //     const data = this._receiveBuffer.trim();
-    //     this._receiveBuffer = '';
-    //     //this._log("Data Decoded Total Data" + data);
-    //     if (data) {
-    //       this.receive(data);
-    //     }
-    //   } else {
-    //     this._receiveBuffer += c;
-    //   }
-    // }
-  }
-
-  _connectionDataReceive(command, data, handsakeCommand) {
-
-    if (handsakeCommand != 253) {
+   * Reconcile the session interrupted by reconnection with the first frame
+   * after it: the pour continues with progress or finish frames, a new card
+   * means the tap has lost it.
+   * @param {TapFrame} frame
+   * @private
+   */
+  _recoverSession(frame) {
+    this._recovering = false;
+
+    if (!this._session.isActive()) {
       return;
     }
-    if (command == 21) {
-      this._deviceId = data;
-      var deviceFound = true;
-      this._log('21 Receive'+ data);
-      if (deviceFound) {
-        this._sendToDevice(command, 1);
-        this._log('21 Send 1');
-      } else {
-        this._sendToDevice(command, 0);
-        this._log('21 Send 0');
-      }
-    } else if (command == 31) {
-      this._rfIdNumber = data;
-      this._log('RFID Number', data);
-      if (!this.checkRFIDExists()) {
-        this._log('RFID Number exists');
-        this._sendToDevice(command, 0);
-      }
-    } else if (command == 41) {
-      //Tap Number 1-Left 2-Right
-      this._sendToDevice(command, 1);
-    } else if (command == 42) {
-      //Volume of Tap in ml
-      var t = 2 * 1000;
-      this._sendToDevice(command, t);
-    } else if (command == 43) {
-      //Beer price in cent
-      var price = 1 * 100;
-      this._sendToDevice(command, price);
-    } else if (command == 44) {
-      //User Amount in cent
-      var at = 10 * 100;
-      this._sendToDevice(command, at);
-    } else if (command == 32) {
-      //Finish Pouring
-      //var lastAmount = data;
-      this._log('Finish Pouring Due to :' + command);
-    } else if (command == 33) {
-      //Finish Pouring
-      //var lastAmount = data;
-      this._log('Finish Pouring Due to :' + command);
-    } else if (command == 34) {
-      //Finish Pouring
-      //var lastAmount = data;
-      this._log('Finish Pouring Due to :' + command);
-    } else if (command == 35) {
-      //Finish Pouring
-      //var lastAmount = data;
-      this._log('Finish Pouring Due to :' + command);
-    } else if (command == 36) {
-      //Finish Pouring
-      var lastAmount1 = data;
-      this._log('Start Pouring Continue' + lastAmount1);
-    } else if (command == 51) {
-      //Finish Pouring
-      var lastAmount = data;
-      this._log('Finish Pouring' + lastAmount);
-    }
-
-  }
-
-  _tapClosed() {
-    this._sendToDevice(45, 1);
-  }
-
-  _startPour() {
-    this._sendToDevice(31, 1);
-  }
-
-  checkRFIDExists() {
-    return true;
+
+    if (frame.command === TapSession.CARD) {
+      this._log('Session of ' + this._session.cardNumber +
+        ' is lost after reconnection');
+      this._session.abort(TapSession.CONNECTION_LOST);
+    } else if (this._session.accepts(frame.command)) {
+      this._log('Session of ' + this._session.cardNumber +
+        ' is resumed after reconnection');
+    }
+  }
+
+  /**
+   * Hold funds to pour the volume limit of the connected tap.
+   * @param {TapSession} session
+   * @private
+   */
+  _holdFunds(session) {
+    if (!this._ledger) {
+      return;
+    }
+
+    const config = this._getTapConfig();
+
+    this._ledger.hold(session.cardNumber,
+        this.constructor._getCost(config.volumeLimit, config.price),
+        session.id);
+  }
+
+  /**
+   * Settle the finished pour and the aborted one which has dispensed
+   * something: debit it, record the transaction and draw it from the keg.
+   * The hold of the aborted pour which has not dispensed anything is
+   * released.
+   * @param {TapSession} session
+   * @private
+   */
+  _settlePour(session) {
+    if (session.state === TapSession.ABORTED && !session.amount) {
+      this._releaseFunds(session);
+      return;
+    }
+
+    this._debitFunds(session);
+    this._recordTransaction(session);
+    this._drawFromKeg(session);
+  }
+
+  /**
+   * Debit the cost of the amount poured at the price answered to the tap.
+   * @param {TapSession} session
+   * @private
+   */
+  _debitFunds(session) {
+    if (!this._ledger) {
+      return;
+    }
+
+    const price = this.getSessionPrice(session);
+
+    this._ledger.debit(session.cardNumber,
+        this.constructor._getCost(session.amount, price), session.id,
+        session.amount + ' ml at ' + price + ' c/l, ' +
+        (session.state === TapSession.ABORTED ? 'aborted' : 'finished') +
+        ' with ' + session.reason);
+  }
+
+  /**
+   * Record the settled pour in the outbox and emit `transactionQueued` with
+   * the transaction.
+   * @param {TapSession} session
+   * @private
+   */
+  _recordTransaction(session) {
+    if (!this._outbox) {
+      return;
+    }
+
+    const price = this.getSessionPrice(session);
+    const transaction = {
+      id: session.id,
+      deviceId: session.deviceId,
+      cardNumber: session.cardNumber,
+      amount: session.amount,
+      price,
+      cost: this.constructor._getCost(session.amount, price),
+      reason: session.reason,
+      startedAt: session.startedAt,
+      finishedAt: session.finishedAt,
+    };
+
+    this._outbox.add(transaction).
+        then(() => this.emit('transactionQueued', transaction)).
+        catch((error) => this._log('Transaction ' + session.id +
+          ' is not recorded', error));
   }
+
+  /**
+   * Release funds held for the aborted pour.
+   * @param {TapSession} session
+   * @private
+   */
+  _releaseFunds(session) {
+    if (this._ledger) {
+      this._ledger.release(session.cardNumber, session.id);
+    }
+  }
+
+  /**
+   * Subtract the amount of the settled pour from the keg.
+   * @param {TapSession} session
+   * @private
+   */
+  _drawFromKeg(session) {
+    if (this._kegTracker && session.amount > 0) {
+      this._kegTracker.dispense(session.deviceId, session.amount);
+    }
+  }
+
+  /**
+   * Get configuration of the connected tap, with the price of its product and
+   * the volume limit capped by the volume left in the keg.
+   * @return {Object}
+   * @private
+   */
+  _getTapConfig() {
+    const config = this._configStore ?
+      this._configStore.get(this._deviceId) :
+      Object.assign({}, TapConfigStore.DEFAULTS);
+    const product = this.getProduct();
+
+    if (product) {
+      config.price = product.price;
+    }
+
+    const pourable = this._kegTracker ?
+      this._kegTracker.getPourableVolume(this._deviceId) : null;
+
+    if (pourable !== null && pourable < config.volumeLimit) {
+      config.volumeLimit = pourable;
+    }
+
+    return config;
+  }
+
+  /**
+   * Authorize card with the provider, fail closed: errors and timeouts are
+   * reported as `UNKNOWN`, so the card is not allowed.
+   * @param {number} cardNumber
+   * @return {Promise<string>}
+   * @private
+   */
+  _authorizeCard(cardNumber) {
+    const provider = this._authorizationProvider;
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Authorization of ' +
+        cardNumber + ' timed out')), this._authorizationTimeout);
+    });
+
+    return Promise.race([
+      Promise.resolve().
+          then(() => provider.authorize(cardNumber)),
+      timeout,
+    ]).
+        catch((error) => {
+          this._log(error);
+          return CardAuthorizationProvider.UNKNOWN;
+        }).
+        then((status) => {
+          clearTimeout(timer);
+          return status;
+        });
+  }
+
+  /**
+   * Reply to the tap, there is nobody to report to, so errors are logged.
+   * @param {number} command
+   * @param {number} data - 32-bit payload value
+   * @private
+   */
+  _reply(command, data) {
+    this._sendToDevice(command, data).
+        catch((error) => this._log('Reply to command ' + command +
+          ' is not delivered', error));
+  }
+
+  /**
+   * Send command to the tap.
+   * @param {number} command
+   * @param {number} data - 32-bit payload value
+   * @return {Promise} Promise which will be fulfilled when the frame will be
+   *                   written or rejected if it is not delivered
+   * @private
+   */
   _sendToDevice(command, data) {
-    try {
-      var buffer = new ArrayBuffer(11) // array buffer for two bytes
-      var newData = new Uint8Array(buffer) // views the buffer as an array of 8 bit integers
-      newData[0] = command;
-      newData[1] = (data & 0xFF000000) >> 24;
-      newData[2] = (data & 0x00FF0000) >> 16;
-      newData[3] = (data & 0x0000FF00) >> 8;
-      newData[4] = (data & 0xFF0000FF);
-      newData[5] = 0;
-      newData[6] = 0;
-      newData[7] = 0;
-      newData[8] = 0;
-      newData[9] = 254;
-      newData[10] = 10;
-      this._log("Send Data to Device for command" + command);
-      this._characteristic.writeValue(newData);
-      this._log("Sent Data to Device for command" + command);
-    } catch (err) {
-      this._log(err);
-    }
-  }
-
-  /**
-   * Write to characteristic.
-   * @param {Object} characteristic
-   * @param {string} data
+    return this._sendFrame(new TapFrame(command, data));
+  }
+
+  /**
+   * Send frame to the tap.
+   * @param {TapFrame} frame
    * @return {Promise}
    * @private
    */
-  _writeToCharacteristic(characteristic, data) {
-    return characteristic.writeValue(new TextEncoder().encode(data));
+  _sendFrame(frame) {
+    if (!this._transport.isConnected()) {
+      return Promise.reject(new Error('There is no connected device'));
+    }
+
+    frame = this._link.wrap(frame);
+
+    this._log('Send Data to Device for command' + frame.command);
+
+    return this._writeBytes(frame.encode()).
+        then(() => this._log('Sent Data to Device for command' +
+          frame.command));
+  }
+
+  /**
+   * Write bytes split by max write length of the transport and emit
+   * `frameSent` when all of them are written, chunks after the failed one are
+   * not written.
+   * @param {Uint8Array} bytes
+   * @return {Promise}
+   * @private
+   */
+  _writeBytes(bytes) {
+    const length = this._transport.getMaxWriteLength();
+    const chunks = [];
+
+    for (let i = 0; i < bytes.length; i += length) {
+      chunks.push(bytes.slice(i, i + length));
+    }
+
+    return this._writeQueue.pushAll(chunks).
+        then(() => {
+          this.emit('frameSent', bytes);
+        });
   }
 
   /**
@@ -558,19 +1490,178 @@ class BluetoothTerminal {
   }
 
   /**
-   * Split by length.
-   * @param {string} string
-   * @param {number} length
-   * @return {Array}
+   * Store configuration value answered to the tap in the session.
+   * @param {TapFrame} frame
+   * @param {BluetoothTerminal} terminal
+   * @param {TapSession} session
+   * @param {number} value - Value answered
    * @private
    */
-  static _splitByLength(string, length) {
-    return string.match(new RegExp('(.|[\r\n]){1,' + length + '}', 'g'));
+  static _configureSession(frame, terminal, session, value) {
+    session.configure(frame.command, value);
+  }
+
+  /**
+   * Finish pour with the amount poured.
+   * @param {TapFrame} frame
+   * @param {BluetoothTerminal} terminal
+   * @param {TapSession} session
+   * @private
+   */
+  static _finishPour(frame, terminal, session) {
+    session.finish(frame.command, frame.value);
+  }
+
+  /**
+   * Get cost in cents.
+   * @param {number} volume - Volume in ml
+   * @param {number} price - Price in cents per litre
+   * @return {number}
+   * @private
+   */
+  static _getCost(volume, price) {
+    return Math.round(volume * price / 1000);
   }
 }
 
+BluetoothTerminal.DISCONNECTED = 'disconnected';
+BluetoothTerminal.CONNECTING = 'connecting';
+BluetoothTerminal.CONNECTED = 'connected';
+BluetoothTerminal.RECONNECTING = 'reconnecting';
+BluetoothTerminal.FAILED = 'failed';
+
+// Results of the handshake.
+BluetoothTerminal.TAP_ACCEPTED = 'accepted';
+BluetoothTerminal.TAP_UNKNOWN = 'unknown';
+BluetoothTerminal.TAP_NOT_VERIFIED = 'notVerified';
+
+// Commands accepted from the tap before it passes the handshake.
+BluetoothTerminal.HANDSHAKE_COMMANDS = [TapFrame.HANDSHAKE, TapFrame.CHALLENGE];
+
+// Built-in tap commands, see `TapCommandTable`.
+BluetoothTerminal.COMMANDS = [
+  {
+    code: 21,
+    name: 'handshake',
+    direction: TapFrame.DEVICE,
+    payload: 'Long device ID in bytes 1-8, replied with 1 if the tap is known',
+    handler: (frame, terminal) => terminal._handleHandshake(frame),
+  },
+  {
+    code: 22,
+    name: 'challenge',
+    direction: TapFrame.DEVICE,
+    payload: 'Signature of the nonce sent by the app in bytes 5-8, see ' +
+      '`TapRegistry.sign`',
+    handler: (frame, terminal) => terminal._handleChallengeResponse(frame),
+  },
+  {
+    code: 23,
+    name: 'protocol version',
+    direction: TapFrame.DEVICE,
+    payload: 'Version the tap switches to, offered in byte 5 of the reply ' +
+      'to command 21',
+    handler: (frame, terminal) => terminal._handleProtocolVersion(frame),
+  },
+  {
+    code: 24,
+    name: 'retransmit',
+    direction: TapFrame.DEVICE,
+    payload: 'Sequence number to retransmit frames from, see `TapLink`',
+    handler: (frame, terminal) => terminal._handleRetransmit(frame),
+  },
+  {
+    code: 31,
+    name: 'card',
+    direction: TapFrame.DEVICE,
+    payload: 'RFID card number, replied with 1 if the card is allowed',
+    handler: (frame, terminal, session) => terminal._handleCard(frame, session),
+  },
+  {
+    code: 32,
+    name: 'finish',
+    direction: TapFrame.DEVICE,
+    payload: 'Amount poured in ml',
+    handler: BluetoothTerminal._finishPour,
+  },
+  {
+    code: 33,
+    name: 'finish',
+    direction: TapFrame.DEVICE,
+    payload: 'Amount poured in ml',
+    handler: BluetoothTerminal._finishPour,
+  },
+  {
+    code: 34,
+    name: 'flow sensor timeout',
+    direction: TapFrame.DEVICE,
+    payload: 'Amount poured in ml',
+    handler: BluetoothTerminal._finishPour,
+  },
+  {
+    code: 35,
+    name: 'finish',
+    direction: TapFrame.DEVICE,
+    payload: 'Amount poured in ml',
+    handler: BluetoothTerminal._finishPour,
+  },
+  {
+    code: 36,
+    name: 'progress',
+    direction: TapFrame.DEVICE,
+    payload: 'Amount poured so far in ml',
+    handler: (frame, terminal, session) => session.progress(frame.value),
+  },
+  {
+    code: 41,
+    name: 'tap side',
+    direction: TapFrame.DEVICE,
+    payload: 'Replied with 1 for the left tap, 2 for the right one',
+    response: (frame, terminal) => terminal._getTapConfig().tapSide,
+    handler: BluetoothTerminal._configureSession,
+  },
+  {
+    code: 42,
+    name: 'volume limit',
+    direction: TapFrame.DEVICE,
+    payload: 'Replied with the volume limit in ml',
+    response: (frame, terminal) => terminal._getTapConfig().volumeLimit,
+    handler: BluetoothTerminal._configureSession,
+  },
+  {
+    code: 43,
+    name: 'price',
+    direction: TapFrame.DEVICE,
+    payload: 'Replied with the price in cents per litre',
+    response: (frame, terminal) => terminal._getTapConfig().price,
+    handler: BluetoothTerminal._configureSession,
+  },
+  {
+    code: 44,
+    name: 'balance',
+    direction: TapFrame.DEVICE,
+    payload: 'Replied with the customer balance in cents',
+    response: (frame, terminal, session) =>
+      terminal._getReportedBalance(session),
+    handler: BluetoothTerminal._configureSession,
+  },
+  {
+    code: 45,
+    name: 'tap closed',
+    direction: TapFrame.APP,
+    payload: '1, tells the tap to close',
+  },
+  {
+    code: 51,
+    name: 'pour finished',
+    direction: TapFrame.DEVICE,
+    payload: 'Amount poured in ml',
+    handler: BluetoothTerminal._finishPour,
+  },
+];
+
 // Export class as a module to support requiring.
 /* istanbul ignore next */
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
   module.exports = BluetoothTerminal;
-}
\ No newline at end of file
+}
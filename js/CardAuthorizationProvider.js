@@ -0,0 +1,27 @@
+/* eslint-env browser, node */
+
+/**
+ * Card authorization provider resolving RFID card numbers to one of
+ * `ALLOWED`, `DENIED` or `UNKNOWN`, extend it to implement own lookups.
+ */
+class CardAuthorizationProvider {
+  /**
+   * Authorize card, base implementation knows no cards.
+   * @param {number} cardNumber - RFID card number
+   * @return {Promise<string>} Promise which will be fulfilled with the
+   *                           authorization result
+   */
+  authorize(cardNumber) {
+    return Promise.resolve(CardAuthorizationProvider.UNKNOWN);
+  }
+}
+
+CardAuthorizationProvider.ALLOWED = 'allowed';
+CardAuthorizationProvider.DENIED = 'denied';
+CardAuthorizationProvider.UNKNOWN = 'unknown';
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = CardAuthorizationProvider;
+}
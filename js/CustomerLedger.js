@@ -0,0 +1,216 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.JsonStorageItem = require('./JsonStorageItem');
+}
+
+/**
+ * Customer balances by RFID card number persisted in the local storage, every
+ * change is appended to the audit trail. Amounts are in cents.
+ *
+ * Pours reserve funds with a hold when the card is authorized, the hold is
+ * replaced with the debit of the actual cost when the pour is finished or
+ * released if it is aborted.
+ */
+class CustomerLedger {
+  /**
+   * Create ledger.
+   * @param {Storage} [storage=localStorage] - Storage to persist in
+   * @param {string} [key='customer-ledger'] - Storage key
+   */
+  constructor(storage = localStorage, key = 'customer-ledger') {
+    this._item = new JsonStorageItem(storage, key,
+        () => ({accounts: {}, audit: []}));
+  }
+
+  /**
+   * Get balance of the card, including held funds.
+   * @param {number} cardNumber - RFID card number
+   * @return {number}
+   */
+  getBalance(cardNumber) {
+    return this._getAccount(this._item.read(), cardNumber).balance;
+  }
+
+  /**
+   * Get funds of the card available for new pours.
+   * @param {number} cardNumber - RFID card number
+   * @return {number}
+   */
+  getAvailable(cardNumber) {
+    const account = this._getAccount(this._item.read(), cardNumber);
+
+    return Math.max(0, account.balance - CustomerLedger._sum(account.holds));
+  }
+
+  /**
+   * Get amount held by the reference.
+   * @param {number} cardNumber - RFID card number
+   * @param {string} reference - Hold reference, pour session ID for example
+   * @return {number}
+   */
+  getHeld(cardNumber, reference) {
+    const account = this._getAccount(this._item.read(), cardNumber);
+
+    return account.holds[reference] || 0;
+  }
+
+  /**
+   * Add funds to the card.
+   * @param {number} cardNumber - RFID card number
+   * @param {number} amount - Amount to add
+   * @param {string} [note=''] - Note for the audit trail
+   */
+  topUp(cardNumber, amount, note = '') {
+    CustomerLedger._checkAmount(amount);
+
+    this._change(cardNumber, 'topUp', amount, null, note, (account) => {
+      account.balance += amount;
+    });
+  }
+
+  /**
+   * Hold funds for the pour, no more than available.
+   * @param {number} cardNumber - RFID card number
+   * @param {number} amount - Amount to hold
+   * @param {string} reference - Hold reference, pour session ID for example
+   * @return {number} Amount held
+   */
+  hold(cardNumber, amount, reference) {
+    CustomerLedger._checkAmount(amount);
+
+    const held = Math.min(amount, this.getAvailable(cardNumber));
+
+    this._change(cardNumber, 'hold', held, reference, '', (account) => {
+      account.holds[reference] = held;
+    });
+
+    return held;
+  }
+
+  /**
+   * Release held funds.
+   * @param {number} cardNumber - RFID card number
+   * @param {string} reference - Hold reference
+   */
+  release(cardNumber, reference) {
+    const held = this.getHeld(cardNumber, reference);
+
+    if (!held) {
+      return;
+    }
+
+    this._change(cardNumber, 'release', held, reference, '', (account) => {
+      delete account.holds[reference];
+    });
+  }
+
+  /**
+   * Debit the card, releasing the hold with the same reference.
+   * @param {number} cardNumber - RFID card number
+   * @param {number} amount - Amount to debit
+   * @param {string} reference - Hold reference
+   * @param {string} [note=''] - Note for the audit trail
+   */
+  debit(cardNumber, amount, reference, note = '') {
+    CustomerLedger._checkAmount(amount);
+
+    this._change(cardNumber, 'debit', amount, reference, note, (account) => {
+      delete account.holds[reference];
+      account.balance -= amount;
+    });
+  }
+
+  /**
+   * Get audit trail entries, oldest first.
+   * @param {number} [cardNumber] - Get entries of this card only
+   * @return {Array<Object>} Entries with `time`, `cardNumber`, `type`,
+   *                         `amount`, `balance`, `held`, `reference` and
+   *                         `note` fields
+   */
+  getAuditTrail(cardNumber) {
+    const audit = this._item.read().audit;
+
+    return cardNumber === undefined ? audit :
+      audit.filter((entry) => entry.cardNumber === Number(cardNumber));
+  }
+
+  /**
+   * Get numbers of cards having an account.
+   * @return {Array<number>}
+   */
+  getCardNumbers() {
+    return Object.keys(this._item.read().accounts).map(Number);
+  }
+
+  /**
+   * Change account and record it in the audit trail.
+   * @param {number} cardNumber
+   * @param {string} type
+   * @param {number} amount
+   * @param {?string} reference
+   * @param {string} note
+   * @param {function(Object)} callback - Changes the account
+   * @private
+   */
+  _change(cardNumber, type, amount, reference, note, callback) {
+    const ledger = this._item.read();
+    const account = this._getAccount(ledger, cardNumber);
+
+    callback(account);
+    ledger.accounts[Number(cardNumber)] = account;
+
+    ledger.audit.push({
+      time: Date.now(),
+      cardNumber: Number(cardNumber),
+      type,
+      amount,
+      balance: account.balance,
+      held: CustomerLedger._sum(account.holds),
+      reference,
+      note,
+    });
+
+    this._item.write(ledger);
+  }
+
+  /**
+   * Get account, new one if there is no such card.
+   * @param {Object} ledger
+   * @param {number} cardNumber
+   * @return {Object}
+   * @private
+   */
+  _getAccount(ledger, cardNumber) {
+    return ledger.accounts[Number(cardNumber)] || {balance: 0, holds: {}};
+  }
+
+  /**
+   * Check amount.
+   * @param {number} amount
+   * @private
+   */
+  static _checkAmount(amount) {
+    if (!Number.isInteger(amount) || amount < 0) {
+      throw new Error('Amount must be a non-negative integer');
+    }
+  }
+
+  /**
+   * Sum held amounts.
+   * @param {Object} holds
+   * @return {number}
+   * @private
+   */
+  static _sum(holds) {
+    return Object.keys(holds).reduce((sum, key) => sum + holds[key], 0);
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = CustomerLedger;
+}
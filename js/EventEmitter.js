@@ -0,0 +1,64 @@
+/* eslint-env browser, node */
+
+/**
+ * Minimal event emitter to subscribe to events of the tap classes.
+ */
+class EventEmitter {
+  /**
+   * Create emitter.
+   */
+  constructor() {
+    this._listeners = {}; // Arrays of listeners by event type.
+  }
+
+  /**
+   * Subscribe to the event.
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener called with the event arguments
+   * @return {EventEmitter} This emitter to chain calls
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+
+    (this._listeners[type] = this._listeners[type] || []).push(listener);
+
+    return this;
+  }
+
+  /**
+   * Unsubscribe from the event.
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to `on`
+   * @return {EventEmitter} This emitter to chain calls
+   */
+  off(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type] = this._listeners[type].
+          filter((item) => item !== listener);
+    }
+
+    return this;
+  }
+
+  /**
+   * Call listeners of the event.
+   * @param {string} type - Event type
+   * @param {...*} args - Event arguments
+   * @return {boolean} True if the event had listeners
+   */
+  emit(type, ...args) {
+    const listeners = (this._listeners[type] || []).slice();
+
+    listeners.forEach((listener) => listener.apply(this, args));
+
+    return listeners.length > 0;
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = EventEmitter;
+}
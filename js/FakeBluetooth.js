@@ -0,0 +1,497 @@
+/* eslint-env browser, node */
+
+/**
+ * Fake Web Bluetooth implementing the part of `navigator.bluetooth` used by
+ * `BluetoothTerminal`, to run it against virtual devices without hardware.
+ */
+class FakeBluetooth {
+  /**
+   * Create fake Web Bluetooth.
+   */
+  constructor() {
+    this._devices = []; // Devices available in the chooser.
+    this._permitted = []; // Devices selected in the chooser before.
+  }
+
+  /**
+   * Make device available in the chooser.
+   * @param {FakeBluetooth.Device} device
+   */
+  addDevice(device) {
+    this._devices.push(device);
+    device._bluetooth = this;
+  }
+
+  /**
+   * Define `bluetooth` property of the navigator object.
+   * @param {Object} navigator - Navigator object, `navigator` in browser
+   */
+  install(navigator) {
+    Object.defineProperty(navigator, 'bluetooth', {
+      configurable: true,
+      value: this,
+    });
+  }
+
+  /**
+   * Select the first available device matching options, as if the user did,
+   * not connected devices are preferred.
+   * @param {Object} options - Request options
+   * @return {Promise<FakeBluetooth.Device>}
+   */
+  requestDevice(options = {}) {
+    const devices = this._devices.filter((device) =>
+      options.acceptAllDevices ||
+      (options.filters || []).some((filter) => device.matches(filter)));
+    const device = devices.find((device) => !device.gatt.connected) ||
+      devices[0];
+
+    if (!device) {
+      return Promise.reject(new Error('NotFoundError: User cancelled the ' +
+        'requestDevice() chooser.'));
+    }
+
+    if (!this._permitted.includes(device)) {
+      this._permitted.push(device);
+    }
+
+    return Promise.resolve(device);
+  }
+
+  /**
+   * Get devices selected in the chooser before.
+   * @return {Promise<Array<FakeBluetooth.Device>>}
+   */
+  getDevices() {
+    return Promise.resolve(this._permitted.slice());
+  }
+
+  /**
+   * Revoke the permission to the device.
+   * @param {FakeBluetooth.Device} device
+   * @private
+   */
+  _forget(device) {
+    this._permitted = this._permitted.filter((item) => item !== device);
+  }
+}
+
+/**
+ * Event target dispatching events with the `target` set.
+ */
+FakeBluetooth.EventTarget = class {
+  /**
+   * Create event target.
+   */
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * Add event listener, the same listener is added once as in DOM.
+   * @param {string} type
+   * @param {Function} listener
+   */
+  addEventListener(type, listener) {
+    const listeners = this._listeners[type] = this._listeners[type] || [];
+
+    if (!listeners.includes(listener)) {
+      listeners.push(listener);
+    }
+  }
+
+  /**
+   * Remove event listener.
+   * @param {string} type
+   * @param {Function} listener
+   */
+  removeEventListener(type, listener) {
+    this._listeners[type] = (this._listeners[type] || []).
+        filter((item) => item !== listener);
+  }
+
+  /**
+   * Dispatch event.
+   * @param {string} type
+   */
+  dispatchEvent(type) {
+    const event = {type, target: this};
+
+    (this._listeners[type] || []).slice().
+        forEach((listener) => listener.call(this, event));
+  }
+};
+
+/**
+ * Fake device.
+ */
+FakeBluetooth.Device = class extends FakeBluetooth.EventTarget {
+  /**
+   * Create device.
+   * @param {string} name - Device name
+   * @param {Array<FakeBluetooth.Service>} services - Primary services
+   */
+  constructor(name, services) {
+    super();
+    this.id = Math.random().toString(36).substring(2, 10);
+    this.name = name;
+    this.gatt = new FakeBluetooth.Server(this, services);
+    this.watchingAdvertisements = false;
+    this._bluetooth = null;
+  }
+
+  /**
+   * Check if the device matches request filter.
+   * @param {Object} filter
+   * @return {boolean}
+   */
+  matches(filter) {
+    if (filter.name && filter.name !== this.name) {
+      return false;
+    }
+
+    if (filter.namePrefix && !this.name.startsWith(filter.namePrefix)) {
+      return false;
+    }
+
+    return (filter.services || []).every((uuid) => this.gatt._services.
+        some((service) => FakeBluetooth.isSameUuid(service.uuid, uuid)));
+  }
+
+  /**
+   * Start watching advertisements, the device advertises while it is in
+   * range and not connected.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Signal to stop watching
+   * @return {Promise}
+   */
+  watchAdvertisements({signal} = {}) {
+    this.watchingAdvertisements = true;
+
+    if (signal) {
+      signal.addEventListener('abort', () =>
+        this.watchingAdvertisements = false);
+    }
+
+    // Advertise asynchronously, as a real device would.
+    setTimeout(() => this._advertise(), 0);
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Forget the device, revoking the permission to it.
+   * @return {Promise}
+   */
+  forget() {
+    this.disconnect();
+
+    if (this._bluetooth) {
+      this._bluetooth._forget(this);
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Drop the connection from the device side.
+   */
+  disconnect() {
+    if (this.gatt.connected) {
+      this.gatt.disconnect();
+    }
+  }
+
+  /**
+   * Move the device in or out of range, connecting to the device out of
+   * range fails.
+   * @param {boolean} inRange
+   */
+  setInRange(inRange) {
+    this.gatt._inRange = inRange;
+
+    if (!inRange) {
+      this.disconnect();
+    } else {
+      this._advertise();
+    }
+  }
+
+  /**
+   * Dispatch `advertisementreceived` if advertisements are watched.
+   * @private
+   */
+  _advertise() {
+    if (this.watchingAdvertisements && this.gatt._inRange &&
+      !this.gatt.connected) {
+      this.dispatchEvent('advertisementreceived');
+    }
+  }
+};
+
+/**
+ * Fake GATT server.
+ */
+FakeBluetooth.Server = class {
+  /**
+   * Create server.
+   * @param {FakeBluetooth.Device} device
+   * @param {Array<FakeBluetooth.Service>} services
+   */
+  constructor(device, services) {
+    this.device = device;
+    this.connected = false;
+    this._inRange = true;
+    this._services = services;
+
+    services.forEach((service) => service._server = this);
+  }
+
+  /**
+   * Connect.
+   * @return {Promise<FakeBluetooth.Server>}
+   */
+  connect() {
+    if (!this._inRange) {
+      return Promise.reject(new Error('NetworkError: Bluetooth Device is ' +
+        'no longer in range.'));
+    }
+
+    this.connected = true;
+    return Promise.resolve(this);
+  }
+
+  /**
+   * Disconnect, stops notifications and dispatches `gattserverdisconnected`.
+   */
+  disconnect() {
+    this.connected = false;
+
+    this._services.forEach((service) => service._characteristics.
+        forEach((characteristic) => characteristic._notifying = false));
+
+    this.device.dispatchEvent('gattserverdisconnected');
+  }
+
+  /**
+   * Get primary service.
+   * @param {(number|string)} uuid
+   * @return {Promise<FakeBluetooth.Service>}
+   */
+  getPrimaryService(uuid) {
+    return this.getPrimaryServices(uuid).then((services) => services[0]);
+  }
+
+  /**
+   * Get primary services.
+   * @param {(number|string)} [uuid] - Get services with this UUID only
+   * @return {Promise<Array<FakeBluetooth.Service>>}
+   */
+  getPrimaryServices(uuid) {
+    if (!this.connected) {
+      return Promise.reject(new Error('NetworkError: GATT Server is ' +
+        'disconnected.'));
+    }
+
+    const services = this._services.filter((service) => uuid === undefined ||
+      FakeBluetooth.isSameUuid(service.uuid, uuid));
+
+    if (!services.length) {
+      return Promise.reject(new Error('NotFoundError: No Services matching ' +
+        'UUID ' + uuid + ' found in Device.'));
+    }
+
+    return Promise.resolve(services);
+  }
+};
+
+/**
+ * Fake GATT service.
+ */
+FakeBluetooth.Service = class {
+  /**
+   * Create service.
+   * @param {string} uuid
+   * @param {Array<FakeBluetooth.Characteristic>} characteristics
+   */
+  constructor(uuid, characteristics) {
+    this.uuid = uuid;
+    this.isPrimary = true;
+    this._server = null;
+    this._characteristics = characteristics;
+
+    characteristics.forEach((characteristic) => characteristic.service = this);
+  }
+
+  /**
+   * Get characteristic.
+   * @param {(number|string)} uuid
+   * @return {Promise<FakeBluetooth.Characteristic>}
+   */
+  getCharacteristic(uuid) {
+    return this.getCharacteristics(uuid).
+        then((characteristics) => characteristics[0]);
+  }
+
+  /**
+   * Get characteristics.
+   * @param {(number|string)} [uuid] - Get characteristics with this UUID only
+   * @return {Promise<Array<FakeBluetooth.Characteristic>>}
+   */
+  getCharacteristics(uuid) {
+    const characteristics = this._characteristics.
+        filter((characteristic) => uuid === undefined ||
+          FakeBluetooth.isSameUuid(characteristic.uuid, uuid));
+
+    if (!characteristics.length) {
+      return Promise.reject(new Error('NotFoundError: No Characteristics ' +
+        'matching UUID ' + uuid + ' found in Service.'));
+    }
+
+    return Promise.resolve(characteristics);
+  }
+};
+
+/**
+ * Fake GATT characteristic.
+ */
+FakeBluetooth.Characteristic = class extends FakeBluetooth.EventTarget {
+  /**
+   * Create characteristic.
+   * @param {string} uuid
+   * @param {Object} properties - Properties such as `write` or `notify`
+   * @param {function(Uint8Array)} [onWrite] - Called with written bytes
+   */
+  constructor(uuid, properties, onWrite = () => {}) {
+    super();
+    this.uuid = uuid;
+    this.properties = Object.assign({
+      broadcast: false,
+      read: false,
+      writeWithoutResponse: false,
+      write: false,
+      notify: false,
+      indicate: false,
+      authenticatedSignedWrites: false,
+      reliableWrite: false,
+      writableAuxiliaries: false,
+    }, properties);
+    this.service = null;
+    this.value = null;
+    this._onWrite = onWrite;
+    this._notifying = false;
+  }
+
+  /**
+   * Write value.
+   * @param {(ArrayBuffer|ArrayBufferView)} value
+   * @return {Promise}
+   */
+  writeValue(value) {
+    if (!this.properties.write && !this.properties.writeWithoutResponse) {
+      return Promise.reject(new Error('NotSupportedError: GATT operation ' +
+        'not permitted.'));
+    }
+
+    if (!this._isConnected()) {
+      return Promise.reject(new Error('NetworkError: GATT Server is ' +
+        'disconnected.'));
+    }
+
+    const bytes = ArrayBuffer.isView(value) ?
+      new Uint8Array(value.buffer, value.byteOffset, value.byteLength) :
+      new Uint8Array(value);
+
+    // Deliver asynchronously, as a real device would.
+    return Promise.resolve().then(() => this._onWrite(bytes.slice()));
+  }
+
+  /**
+   * Write value with response.
+   * @param {(ArrayBuffer|ArrayBufferView)} value
+   * @return {Promise}
+   */
+  writeValueWithResponse(value) {
+    return this.writeValue(value);
+  }
+
+  /**
+   * Write value without response.
+   * @param {(ArrayBuffer|ArrayBufferView)} value
+   * @return {Promise}
+   */
+  writeValueWithoutResponse(value) {
+    return this.writeValue(value);
+  }
+
+  /**
+   * Start notifications.
+   * @return {Promise<FakeBluetooth.Characteristic>}
+   */
+  startNotifications() {
+    if (!this.properties.notify && !this.properties.indicate) {
+      return Promise.reject(new Error('NotSupportedError: GATT operation ' +
+        'not permitted.'));
+    }
+
+    this._notifying = true;
+    this.dispatchEvent('notificationsstarted');
+
+    return Promise.resolve(this);
+  }
+
+  /**
+   * Stop notifications.
+   * @return {Promise<FakeBluetooth.Characteristic>}
+   */
+  stopNotifications() {
+    this._notifying = false;
+    return Promise.resolve(this);
+  }
+
+  /**
+   * Notify subscribers with the value from the device side.
+   * @param {Uint8Array} bytes
+   * @return {boolean} True if notifications are started
+   */
+  notify(bytes) {
+    if (!this._notifying || !this._isConnected()) {
+      return false;
+    }
+
+    this.value = new DataView(Uint8Array.from(bytes).buffer);
+    this.dispatchEvent('characteristicvaluechanged');
+
+    return true;
+  }
+
+  /**
+   * Check if the device is connected.
+   * @return {boolean}
+   * @private
+   */
+  _isConnected() {
+    return Boolean(this.service && this.service._server &&
+      this.service._server.connected);
+  }
+};
+
+/**
+ * Compare UUIDs given as numbers or strings.
+ * @param {(number|string)} a
+ * @param {(number|string)} b
+ * @return {boolean}
+ */
+FakeBluetooth.isSameUuid = (a, b) => {
+  const normalize = (uuid) => typeof uuid === 'number' ?
+    uuid.toString(16).padStart(8, '0') + '-0000-1000-8000-00805f9b34fb' :
+    String(uuid).toLowerCase();
+
+  return normalize(a) === normalize(b);
+};
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = FakeBluetooth;
+}
@@ -0,0 +1,60 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.CardAuthorizationProvider = require('./CardAuthorizationProvider');
+}
+
+/**
+ * Card authorization provider asking a REST endpoint: `GET <url>/<number>`
+ * should respond with `{"status": "allowed"}` or `{"status": "denied"}`,
+ * 404 means the card is unknown.
+ */
+class HttpAuthorizationProvider extends CardAuthorizationProvider {
+  /**
+   * Create provider.
+   * @param {string} url - Cards endpoint URL
+   */
+  constructor(url) {
+    super();
+    this._url = url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Authorize card.
+   * @param {number} cardNumber - RFID card number
+   * @return {Promise<string>}
+   */
+  authorize(cardNumber) {
+    return fetch(this._url + '/' + encodeURIComponent(cardNumber), {
+      headers: {'Accept': 'application/json'},
+    }).
+        then((response) => {
+          if (response.status === 404) {
+            return {status: CardAuthorizationProvider.UNKNOWN};
+          }
+
+          if (!response.ok) {
+            throw new Error('Card lookup failed with status ' +
+              response.status);
+          }
+
+          return response.json();
+        }).
+        then((body) => {
+          if (body.status === CardAuthorizationProvider.ALLOWED ||
+            body.status === CardAuthorizationProvider.DENIED) {
+            return body.status;
+          }
+
+          return CardAuthorizationProvider.UNKNOWN;
+        });
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = HttpAuthorizationProvider;
+}
@@ -0,0 +1,92 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.CardAuthorizationProvider = require('./CardAuthorizationProvider');
+  global.IndexedDbStore = require('./IndexedDbStore');
+}
+
+/**
+ * Card authorization provider keeping allowed and denied cards in IndexedDB.
+ */
+class IndexedDbCardRegistry extends CardAuthorizationProvider {
+  /**
+   * Create registry.
+   * @param {string} [databaseName='tap-cards'] - Database name
+   * @param {IDBFactory} [factory=indexedDB] - IndexedDB implementation
+   */
+  constructor(databaseName = 'tap-cards', factory = indexedDB) {
+    super();
+    this._store = new IndexedDbStore(databaseName,
+        IndexedDbCardRegistry.STORE, 'cardNumber', factory);
+  }
+
+  /**
+   * Add or update card.
+   * @param {number} cardNumber - RFID card number
+   * @param {boolean} [allowed=true] - Allow pouring with the card
+   * @param {string} [holder=''] - Card holder name
+   * @return {Promise}
+   */
+  put(cardNumber, allowed = true, holder = '') {
+    return this._store.request('readwrite', (store) => store.put({
+      cardNumber: Number(cardNumber),
+      allowed: Boolean(allowed),
+      holder: String(holder),
+    }));
+  }
+
+  /**
+   * Remove card, so it becomes unknown.
+   * @param {number} cardNumber - RFID card number
+   * @return {Promise}
+   */
+  remove(cardNumber) {
+    return this._store.request('readwrite',
+        (store) => store.delete(Number(cardNumber)));
+  }
+
+  /**
+   * Get card.
+   * @param {number} cardNumber - RFID card number
+   * @return {Promise<?Object>} Card record or null if there is no such card
+   */
+  get(cardNumber) {
+    return this._store.
+        request('readonly', (store) => store.get(Number(cardNumber))).
+        then((card) => card || null);
+  }
+
+  /**
+   * Get all cards.
+   * @return {Promise<Array<Object>>}
+   */
+  getAll() {
+    return this._store.request('readonly', (store) => store.getAll());
+  }
+
+  /**
+   * Authorize card.
+   * @param {number} cardNumber - RFID card number
+   * @return {Promise<string>}
+   */
+  authorize(cardNumber) {
+    return this.get(cardNumber).then((card) => {
+      if (!card) {
+        return CardAuthorizationProvider.UNKNOWN;
+      }
+
+      return card.allowed ? CardAuthorizationProvider.ALLOWED :
+        CardAuthorizationProvider.DENIED;
+    });
+  }
+}
+
+IndexedDbCardRegistry.STORE = 'cards';
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = IndexedDbCardRegistry;
+}
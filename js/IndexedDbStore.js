@@ -0,0 +1,68 @@
+/* eslint-env browser, node */
+
+/**
+ * The only object store of an IndexedDB database which is opened on the first
+ * request. Works in the page and in the service worker.
+ */
+class IndexedDbStore {
+  /**
+   * Create store.
+   * @param {string} databaseName - Database name
+   * @param {string} storeName - Object store name
+   * @param {string} keyPath - Key path of the records
+   * @param {IDBFactory} [factory=indexedDB] - IndexedDB implementation
+   */
+  constructor(databaseName, storeName, keyPath, factory = indexedDB) {
+    this._databaseName = databaseName;
+    this._storeName = storeName;
+    this._keyPath = keyPath;
+    this._factory = factory;
+    this._database = null; // Promise of opened database.
+  }
+
+  /**
+   * Run request against the store in its own transaction.
+   * @param {string} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} callback - Makes request
+   * @return {Promise} Promise which will be fulfilled with the request result
+   *                   when the transaction completes
+   */
+  request(mode, callback) {
+    return this._open().then((database) => new Promise((resolve, reject) => {
+      const transaction = database.transaction(this._storeName, mode);
+      const request = callback(transaction.objectStore(this._storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      // Aborted without an error of the request, e.g. when quota is exceeded.
+      transaction.onabort = () => reject(transaction.error ||
+        new Error('Transaction is aborted'));
+    }));
+  }
+
+  /**
+   * Open database.
+   * @return {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (!this._database) {
+      this._database = new Promise((resolve, reject) => {
+        const request = this._factory.open(this._databaseName, 1);
+
+        request.onupgradeneeded = () => request.result.
+            createObjectStore(this._storeName, {keyPath: this._keyPath});
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this._database;
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = IndexedDbStore;
+}
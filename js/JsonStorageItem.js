@@ -0,0 +1,44 @@
+/* eslint-env browser, node */
+
+/**
+ * Object kept as JSON under a key of the local storage or another `Storage`,
+ * the stores of the application persist in it.
+ */
+class JsonStorageItem {
+  /**
+   * Create item.
+   * @param {Storage} storage - Storage to persist in
+   * @param {string} key - Storage key
+   * @param {function(): Object} [createEmpty] - Creates the object read when
+   *                                            nothing is stored, its fields
+   *                                            are defaults of the stored one
+   */
+  constructor(storage, key, createEmpty = () => ({})) {
+    this._storage = storage;
+    this._key = key;
+    this._createEmpty = createEmpty;
+  }
+
+  /**
+   * Read object.
+   * @return {Object}
+   */
+  read() {
+    return Object.assign(this._createEmpty(),
+        JSON.parse(this._storage.getItem(this._key) || '{}'));
+  }
+
+  /**
+   * Write object.
+   * @param {Object} value
+   */
+  write(value) {
+    this._storage.setItem(this._key, JSON.stringify(value));
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = JsonStorageItem;
+}
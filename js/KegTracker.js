@@ -0,0 +1,227 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.EventEmitter = require('./EventEmitter');
+  global.JsonStorageItem = require('./JsonStorageItem');
+}
+
+/**
+ * Keg levels of the taps keyed by the long device ID received with command 21
+ * and persisted in the local storage. A keg is tracked from the moment it is
+ * changed: every amount dispensed by the tap is subtracted from its size.
+ *
+ * Events: `levelChange` with the device ID and the keg, `kegLow` with the
+ * device ID, the keg and the threshold in percent crossed by the pour,
+ * `kegEmpty` with the device ID and the keg once a full pour is not left.
+ */
+class KegTracker extends EventEmitter {
+  /**
+   * Create tracker.
+   * @param {Storage} [storage=localStorage] - Storage to persist in
+   * @param {string} [key='keg-levels'] - Storage key
+   */
+  constructor(storage = localStorage, key = 'keg-levels') {
+    super();
+    this._item = new JsonStorageItem(storage, key);
+
+    this._options = {
+      thresholds: [20, 10],
+      pourSize: 500,
+      reserve: 200,
+    };
+  }
+
+  /**
+   * Set options of the tracking.
+   * @param {Object} options - Options to change
+   * @param {Array<number>} [options.thresholds=[20, 10]] - Keg levels in
+   *                                                       percent to alert at
+   * @param {number} [options.pourSize=500] - Volume of a pour in ml to count
+   *                                          pours left
+   * @param {number} [options.reserve=200] - Volume in ml left in the keg which
+   *                                         can not be poured
+   */
+  setOptions(options) {
+    Object.keys(options).forEach((option) => {
+      if (!(option in this._options)) {
+        throw new Error('Unknown keg option ' + option);
+      }
+    });
+
+    if (options.thresholds !== undefined &&
+      (!Array.isArray(options.thresholds) ||
+        !options.thresholds.every((threshold) => Number.isFinite(threshold) &&
+          threshold >= 0 && threshold <= 100))) {
+      throw new Error('Keg thresholds must be an array of percents');
+    }
+
+    if (options.pourSize !== undefined &&
+      !(Number.isFinite(options.pourSize) && options.pourSize > 0)) {
+      throw new Error('Pour size must be a positive number');
+    }
+
+    if (options.reserve !== undefined &&
+      !(Number.isFinite(options.reserve) && options.reserve >= 0)) {
+      throw new Error('Keg reserve must be a non-negative number');
+    }
+
+    Object.assign(this._options, options);
+  }
+
+  /**
+   * Get keg of the tap.
+   * @param {?string} deviceId - Long device ID
+   * @return {?Object} Keg with `size` and `remaining` volume in ml and
+   *                   `changedAt` timestamp, null if the keg is not tracked
+   */
+  get(deviceId) {
+    return deviceId && this._item.read()[deviceId] || null;
+  }
+
+  /**
+   * Start tracking a new full keg of the tap.
+   * @param {string} deviceId - Long device ID
+   * @param {number} size - Keg size in ml
+   * @return {Object} Keg
+   */
+  change(deviceId, size) {
+    if (!deviceId) {
+      throw new Error('Device ID must be not empty');
+    }
+
+    const volume = Number(size);
+
+    if (size === '' || !Number.isInteger(volume) || volume <= 0 ||
+      volume > 0xFFFFFFFF) {
+      throw new Error('Keg size must be a positive 32-bit integer');
+    }
+
+    const keg = {size: volume, remaining: volume, changedAt: Date.now()};
+    const kegs = this._item.read();
+
+    kegs[deviceId] = keg;
+    this._item.write(kegs);
+    this.emit('levelChange', deviceId, keg);
+
+    return keg;
+  }
+
+  /**
+   * Subtract the amount dispensed by the tap from its keg and alert if the
+   * level crosses a threshold, does nothing if the keg is not tracked.
+   * @param {?string} deviceId - Long device ID
+   * @param {number} amount - Amount dispensed in ml
+   * @return {?Object} Keg or null if it is not tracked
+   */
+  dispense(deviceId, amount) {
+    const kegs = this._item.read();
+    const keg = deviceId && kegs[deviceId];
+
+    if (!keg) {
+      return null;
+    }
+
+    const wasEmpty = this._isEmpty(keg);
+    const before = keg.remaining;
+
+    keg.remaining = Math.max(0, keg.remaining - amount);
+    this._item.write(kegs);
+    this.emit('levelChange', deviceId, keg);
+
+    this._options.thresholds.
+        filter((threshold) => before * 100 > threshold * keg.size &&
+          keg.remaining * 100 <= threshold * keg.size).
+        forEach((threshold) => this.emit('kegLow', deviceId, keg, threshold));
+
+    if (!wasEmpty && this._isEmpty(keg)) {
+      this.emit('kegEmpty', deviceId, keg);
+    }
+
+    return keg;
+  }
+
+  /**
+   * Stop tracking keg of the tap.
+   * @param {string} deviceId - Long device ID
+   */
+  remove(deviceId) {
+    const kegs = this._item.read();
+
+    delete kegs[deviceId];
+    this._item.write(kegs);
+  }
+
+  /**
+   * Get volume which can still be poured from the keg of the tap.
+   * @param {?string} deviceId - Long device ID
+   * @return {?number} Volume in ml or null if the keg is not tracked
+   */
+  getPourableVolume(deviceId) {
+    const keg = this.get(deviceId);
+
+    return keg ? this._getPourableVolume(keg) : null;
+  }
+
+  /**
+   * Get number of full pours left in the keg of the tap.
+   * @param {?string} deviceId - Long device ID
+   * @return {?number} Pours or null if the keg is not tracked
+   */
+  getPoursLeft(deviceId) {
+    const keg = this.get(deviceId);
+
+    return keg ? Math.floor(this._getPourableVolume(keg) /
+      this._options.pourSize) : null;
+  }
+
+  /**
+   * Check if the keg of the tap is at or below the highest threshold.
+   * @param {?string} deviceId - Long device ID
+   * @return {boolean}
+   */
+  isLow(deviceId) {
+    const keg = this.get(deviceId);
+
+    return Boolean(keg) && keg.remaining * 100 <=
+      Math.max(0, ...this._options.thresholds) * keg.size;
+  }
+
+  /**
+   * Check if a full pour is not left in the keg of the tap.
+   * @param {?string} deviceId - Long device ID
+   * @return {boolean}
+   */
+  isEmpty(deviceId) {
+    const keg = this.get(deviceId);
+
+    return Boolean(keg) && this._isEmpty(keg);
+  }
+
+  /**
+   * Get volume which can still be poured from the keg.
+   * @param {Object} keg
+   * @return {number}
+   * @private
+   */
+  _getPourableVolume(keg) {
+    return Math.max(0, keg.remaining - this._options.reserve);
+  }
+
+  /**
+   * Check if a full pour is not left in the keg.
+   * @param {Object} keg
+   * @return {boolean}
+   * @private
+   */
+  _isEmpty(keg) {
+    return this._getPourableVolume(keg) < this._options.pourSize;
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = KegTracker;
+}
@@ -0,0 +1,236 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapSession = require('./TapSession');
+}
+
+/**
+ * Watchdog of the running pour: triggers when the tap is not opened in time
+ * once the session is configured, the pour takes longer than the max duration
+ * counted from the first progress frame or the tap sends no progress for
+ * longer than the max silence while pouring, zero disables the limit. The
+ * session closed on trigger is aborted with the same reason if the tap does
+ * not finish it in time. Timers are suspended while the connection is lost.
+ */
+class PourWatchdog {
+  /**
+   * Create watchdog.
+   * @param {function(TapSession, string)} onTrigger - Called with the session
+   *                                                  and abort reason,
+   *                                                  `TapSession.POUR_TOO_LONG`
+   *                                                  or `POUR_STALLED`
+   * @param {Object} [options] - Options
+   * @param {number} [options.startTimeout=60000] - Time for the customer to
+   *                                                open the configured tap in
+   *                                                milliseconds
+   * @param {number} [options.maxDuration=120000] - Max pour duration in
+   *                                                milliseconds
+   * @param {number} [options.maxSilence=10000] - Max time between progress
+   *                                              frames in milliseconds
+   * @param {number} [options.closeTimeout=5000] - Time for the closing tap to
+   *                                               finish the session in
+   *                                               milliseconds
+   */
+  constructor(onTrigger, options = {}) {
+    this._onTrigger = onTrigger;
+    this._options = {
+      startTimeout: 60000,
+      maxDuration: 120000,
+      maxSilence: 10000,
+      closeTimeout: 5000,
+    };
+    this._session = null;
+    this._listeners = null;
+    this._suspended = false;
+    this._pourStartedAt = null; // Time of the first progress frame.
+    this._startTimer = null;
+    this._durationTimer = null;
+    this._silenceTimer = null;
+    this._closeTimer = null;
+
+    this.setOptions(options);
+  }
+
+  /**
+   * Set options, see the constructor, they apply to the next pour.
+   * @param {Object} options - Options to change
+   */
+  setOptions(options) {
+    Object.keys(options).forEach((option) => {
+      if (!(option in this._options)) {
+        throw new Error('Unknown watchdog option ' + option);
+      }
+
+      if (!Number.isFinite(options[option]) || options[option] < 0) {
+        throw new Error('Watchdog option ' + option +
+          ' must be a non-negative number');
+      }
+    });
+
+    Object.assign(this._options, options);
+  }
+
+  /**
+   * Watch the session instead of the previous one.
+   * @param {TapSession} session
+   */
+  watch(session) {
+    this.stop();
+
+    this._session = session;
+    this._suspended = false;
+    this._pourStartedAt = null;
+    this._listeners = {
+      stateChange: () => this._handleStateChange(),
+      pourProgress: () => this._restartSilence(),
+      pourFinished: () => this.stop(),
+      pourAborted: () => this.stop(),
+    };
+
+    Object.keys(this._listeners).forEach((type) => session.on(type,
+        this._listeners[type]));
+  }
+
+  /**
+   * Stop watching.
+   */
+  stop() {
+    this._clearTimers();
+
+    if (this._session) {
+      Object.keys(this._listeners).forEach((type) => this._session.off(type,
+          this._listeners[type]));
+    }
+
+    this._session = null;
+    this._listeners = null;
+  }
+
+  /**
+   * Suspend timers while the connection to the tap is lost, the tap keeps
+   * pouring and may finish the session after reconnection.
+   */
+  suspend() {
+    this._suspended = true;
+    this._clearTimers();
+  }
+
+  /**
+   * Resume timers suspended, the pour duration keeps counting from the first
+   * progress frame, other limits are counted over.
+   */
+  resume() {
+    if (!this._suspended) {
+      return;
+    }
+
+    this._suspended = false;
+    this._restartTimers();
+  }
+
+  /**
+   * Note the start of the pour and restart timers for the new state.
+   * @private
+   */
+  _handleStateChange() {
+    if (this._session.state === TapSession.POURING && !this._pourStartedAt) {
+      this._pourStartedAt = Date.now();
+    }
+
+    this._restartTimers();
+  }
+
+  /**
+   * Start timers of the session state: the start timeout once the session is
+   * configured, duration and silence while pouring, waiting for the tap to
+   * finish once it is closing.
+   * @private
+   */
+  _restartTimers() {
+    this._clearTimers();
+
+    if (!this._session || this._suspended) {
+      return;
+    }
+
+    const options = this._options;
+
+    switch (this._session.state) {
+      case TapSession.CONFIGURED:
+        if (options.startTimeout) {
+          this._startTimer = setTimeout(
+              () => this._trigger(TapSession.POUR_STALLED),
+              options.startTimeout);
+        }
+        break;
+
+      case TapSession.POURING:
+        if (options.maxDuration) {
+          this._durationTimer = setTimeout(
+              () => this._trigger(TapSession.POUR_TOO_LONG),
+              Math.max(0, this._pourStartedAt + options.maxDuration -
+                Date.now()));
+        }
+
+        this._restartSilence();
+        break;
+
+      case TapSession.CLOSING:
+        if (options.closeTimeout) {
+          this._closeTimer = setTimeout(
+              () => this._session.abort(this._session.reason),
+              options.closeTimeout);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Start counting silence over while pouring.
+   * @private
+   */
+  _restartSilence() {
+    clearTimeout(this._silenceTimer);
+    this._silenceTimer = null;
+
+    if (this._options.maxSilence && !this._suspended &&
+      this._session.state === TapSession.POURING) {
+      this._silenceTimer = setTimeout(
+          () => this._trigger(TapSession.POUR_STALLED),
+          this._options.maxSilence);
+    }
+  }
+
+  /**
+   * Report the session, it keeps being watched while the tap closes.
+   * @param {string} reason
+   * @private
+   */
+  _trigger(reason) {
+    this._clearTimers();
+    this._onTrigger(this._session, reason);
+  }
+
+  /**
+   * Clear timers.
+   * @private
+   */
+  _clearTimers() {
+    clearTimeout(this._startTimer);
+    clearTimeout(this._durationTimer);
+    clearTimeout(this._silenceTimer);
+    clearTimeout(this._closeTimer);
+    this._startTimer = null;
+    this._durationTimer = null;
+    this._silenceTimer = null;
+    this._closeTimer = null;
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = PourWatchdog;
+}
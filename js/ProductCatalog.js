@@ -0,0 +1,181 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.JsonStorageItem = require('./JsonStorageItem');
+}
+
+/**
+ * Catalog of beverages poured by the taps, persisted in the local storage.
+ * Every product has `id`, `name`, `style`, `image` URL, `price` in cents per
+ * litre and `kegSize` in ml, and is assigned to taps by the long device ID
+ * received with command 21. The product assigned drives the price answered
+ * to the tap, see `BluetoothTerminal.setProductCatalog`.
+ */
+class ProductCatalog {
+  /**
+   * Create catalog.
+   * @param {Storage} [storage=localStorage] - Storage to persist in
+   * @param {string} [key='product-catalog'] - Storage key
+   */
+  constructor(storage = localStorage, key = 'product-catalog') {
+    this._item = new JsonStorageItem(storage, key,
+        () => ({products: {}, taps: {}}));
+  }
+
+  /**
+   * Get product.
+   * @param {string} id - Product ID
+   * @return {?Object} Product or null if there is no such product
+   */
+  get(id) {
+    return this._item.read().products[id] || null;
+  }
+
+  /**
+   * Get all products ordered by name.
+   * @return {Array<Object>}
+   */
+  getAll() {
+    const products = this._item.read().products;
+
+    return Object.keys(products).map((id) => products[id]).
+        sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save product, a new one is added if it has no ID.
+   * @param {Object} product - Product
+   * @param {string} [product.id] - ID of the product to replace
+   * @param {string} product.name - Name
+   * @param {string} [product.style=''] - Style, e.g. `IPA`
+   * @param {string} [product.image=''] - Image URL
+   * @param {number} product.price - Price in cents per litre
+   * @param {number} product.kegSize - Keg size in ml
+   * @return {Object} Saved product
+   */
+  put({id = null, name, style = '', image = '', price, kegSize}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Product name must be a non-empty string');
+    }
+
+    const saved = {
+      id: id || Date.now().toString(36) + '-' +
+        Math.random().toString(36).substring(2, 10),
+      name,
+      style: String(style),
+      image: String(image),
+      price: ProductCatalog._toUint32(price, 'Price'),
+      kegSize: ProductCatalog._toUint32(kegSize, 'Keg size'),
+    };
+
+    const catalog = this._item.read();
+    catalog.products[saved.id] = saved;
+    this._item.write(catalog);
+
+    return saved;
+  }
+
+  /**
+   * Remove product, the taps it is assigned to are left without a product.
+   * @param {string} id - Product ID
+   */
+  remove(id) {
+    const catalog = this._item.read();
+
+    delete catalog.products[id];
+
+    Object.keys(catalog.taps).forEach((deviceId) => {
+      if (catalog.taps[deviceId] === id) {
+        delete catalog.taps[deviceId];
+      }
+    });
+
+    this._item.write(catalog);
+  }
+
+  /**
+   * Assign product to the tap.
+   * @param {string} deviceId - Long device ID
+   * @param {?string} productId - Product ID, null to leave the tap without a
+   *                              product
+   */
+  assign(deviceId, productId) {
+    if (!deviceId) {
+      throw new Error('Device ID must be not empty');
+    }
+
+    const catalog = this._item.read();
+
+    if (productId === null) {
+      delete catalog.taps[deviceId];
+    } else if (catalog.products[productId]) {
+      catalog.taps[deviceId] = productId;
+    } else {
+      throw new Error('Product ' + productId + ' must be in the catalog');
+    }
+
+    this._item.write(catalog);
+  }
+
+  /**
+   * Get product assigned to the tap.
+   * @param {?string} deviceId - Long device ID
+   * @return {?Object} Product or null if the tap has no product
+   */
+  getAssigned(deviceId) {
+    const catalog = this._item.read();
+
+    return deviceId && catalog.products[catalog.taps[deviceId]] || null;
+  }
+
+  /**
+   * Get IDs of taps having a product assigned.
+   * @return {Array<string>}
+   */
+  getDeviceIds() {
+    return Object.keys(this._item.read().taps);
+  }
+
+  /**
+   * Get absolute URLs of the product images, to cache them.
+   * @param {string} base - URL relative images are resolved against
+   * @return {Array<string>}
+   */
+  getImageUrls(base) {
+    const urls = this.getAll().filter((product) => product.image).
+        map((product) => new URL(product.image, base).href);
+
+    return Array.from(new Set(urls));
+  }
+
+  /**
+   * Convert field to a 32-bit unsigned integer.
+   * @param {*} value
+   * @param {string} name - Field name for the error
+   * @return {number}
+   * @private
+   */
+  static _toUint32(value, name) {
+    const number = Number(value);
+
+    if (value === '' || !Number.isInteger(number) || number < 0 ||
+      number > 0xFFFFFFFF) {
+      throw new Error(name + ' must be a 32-bit unsigned integer');
+    }
+
+    return number;
+  }
+}
+
+// Cache of the product images in the service worker and the message asking
+// it to cache them.
+ProductCatalog.IMAGE_CACHE = 'product-images';
+ProductCatalog.CACHE_IMAGES = 'cacheProductImages';
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = ProductCatalog;
+}
@@ -0,0 +1,52 @@
+/* eslint-env browser, node */
+
+/**
+ * Protocol handler turning data notified by the device into messages of the
+ * terminal it is attached to, extend it to implement own protocols.
+ */
+class ProtocolHandler {
+  /**
+   * Create handler.
+   */
+  constructor() {
+    this._terminal = null;
+  }
+
+  /**
+   * Attach handler to the terminal, which receives its messages.
+   * @param {BluetoothTerminal} terminal
+   */
+  attach(terminal) {
+    this._terminal = terminal;
+    this.reset();
+  }
+
+  /**
+   * Detach handler from the terminal.
+   */
+  detach() {
+    this.reset();
+    this._terminal = null;
+  }
+
+  /**
+   * Handle data notified by the device, base implementation drops it.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data
+   */
+  receive(data) {
+    // Handle incoming data.
+  }
+
+  /**
+   * Drop buffered data, used when the connection is lost.
+   */
+  reset() {
+    // Drop buffered data.
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = ProtocolHandler;
+}
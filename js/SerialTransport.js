@@ -0,0 +1,261 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.Transport = require('./Transport');
+}
+
+/**
+ * Web Serial transport for taps wired over USB-UART. The port chooser lists
+ * all serial ports unless USB vendor filters are set.
+ */
+class SerialTransport extends Transport {
+  /**
+   * Create transport.
+   * @param {Object} [options] - Options
+   * @param {number} [options.baudRate=9600] - Baud rate
+   * @param {Array<Object>} [options.filters=[]] - Port filters with
+   *                                              `usbVendorId` and
+   *                                              `usbProductId`
+   */
+  constructor({baudRate = 9600, filters = []} = {}) {
+    super();
+
+    this._baudRate = baudRate;
+    this._filters = filters;
+    this._port = null; // Port object cache.
+    this._reader = null; // Reader of the open port.
+    this._writer = null; // Writer of the open port.
+
+    // Bound function used to add and remove the disconnection handler.
+    this._boundHandleDisconnection = this._handleDisconnection.bind(this);
+  }
+
+  /**
+   * Get transport type to show.
+   * @return {string}
+   */
+  getType() {
+    return 'serial';
+  }
+
+  /**
+   * Launch serial port chooser and open the selected port, open the given or
+   * used one otherwise.
+   * @param {Object} [port] - Port permitted before, see
+   *                          `navigator.serial.getPorts()`
+   * @return {Promise} Promise which will be fulfilled when the port will be
+   *                   open or rejected if something went wrong
+   */
+  connect(port = null) {
+    if (port && port !== this._port) {
+      this.disconnect();
+      this._usePort(port);
+    }
+
+    return (this._port ? Promise.resolve(this._port) : this._requestPort()).
+        then((port) => {
+          if (this._writer) {
+            return;
+          }
+
+          this._log('Opening serial port at ' + this._baudRate + ' baud...');
+
+          return port.open({baudRate: this._baudRate}).
+              then(() => {
+                this._log('Serial port opened');
+                this._writer = port.writable.getWriter();
+                this._read(port);
+              });
+        });
+  }
+
+  /**
+   * Close the port and drop it.
+   */
+  disconnect() {
+    const port = this._port;
+
+    if (!port) {
+      return;
+    }
+
+    this._log('Closing serial port...');
+    port.removeEventListener('disconnect', this._boundHandleDisconnection);
+    this._port = null;
+    this._close(port).
+        then(() => this._log('Serial port closed')).
+        catch((error) => this._log(error));
+  }
+
+  /**
+   * Revoke the permission to the port, it has to be selected in the chooser
+   * again to open.
+   * @param {Object} port - Port used before
+   * @return {Promise}
+   */
+  forget(port) {
+    if (typeof port.forget !== 'function') {
+      this._log('Forgetting serial ports is not supported');
+      return Promise.resolve();
+    }
+
+    return port.forget().then(() => this._log('Serial port forgotten'));
+  }
+
+  /**
+   * Check if the port is open.
+   * @return {boolean}
+   */
+  isConnected() {
+    return Boolean(this._writer);
+  }
+
+  /**
+   * Write bytes to the port.
+   * @param {Uint8Array} bytes
+   * @return {Promise}
+   */
+  write(bytes) {
+    if (!this._writer) {
+      return Promise.reject(new Error('There is no connected device'));
+    }
+
+    return this._writer.write(bytes);
+  }
+
+  /**
+   * Get the port used, open or not.
+   * @return {?Object} Port or null if there is no port selected
+   */
+  getDevice() {
+    return this._port;
+  }
+
+  /**
+   * Get the port name made of its USB IDs.
+   * @return {string} Port name or empty string if there is no port
+   */
+  getDeviceName() {
+    if (!this._port) {
+      return '';
+    }
+
+    const info = this._port.getInfo();
+
+    return info.usbVendorId === undefined ? 'Serial port' :
+      'Serial port ' + SerialTransport._formatUsbId(info.usbVendorId) + ':' +
+      SerialTransport._formatUsbId(info.usbProductId);
+  }
+
+  /**
+   * Request serial port.
+   * @return {Promise}
+   * @private
+   */
+  _requestPort() {
+    this._log('Requesting serial port...');
+
+    return navigator.serial.requestPort({filters: this._filters}).
+        then((port) => {
+          this._usePort(port);
+          this._log('"' + this.getDeviceName() + '" selected');
+
+          return port;
+        });
+  }
+
+  /**
+   * Remember port and listen to its disconnection.
+   * @param {Object} port
+   * @private
+   */
+  _usePort(port) {
+    this._port = port;
+    this._port.addEventListener('disconnect', this._boundHandleDisconnection);
+  }
+
+  /**
+   * Read the port until it is closed or fails.
+   * @param {Object} port
+   * @private
+   */
+  _read(port) {
+    const reader = this._reader = port.readable.getReader();
+
+    const next = () => reader.read().then(({value, done}) => {
+      if (done) {
+        return;
+      }
+
+      this.emit('data', value);
+      return next();
+    });
+
+    next().
+        catch((error) => this._log(error)).
+        then(() => {
+          reader.releaseLock();
+
+          // Lost if it is not closed on purpose.
+          if (this._reader === reader) {
+            this._reader = null;
+            this._handleDisconnection();
+          }
+        });
+  }
+
+  /**
+   * Cancel reading, release the writer and close the port.
+   * @param {Object} port
+   * @return {Promise}
+   * @private
+   */
+  _close(port) {
+    const reader = this._reader;
+    const writer = this._writer;
+
+    this._reader = null;
+    this._writer = null;
+
+    return (reader ? reader.cancel().then(() => reader.releaseLock()) :
+      Promise.resolve()).
+        then(() => writer && writer.releaseLock()).
+        then(() => port.readable || port.writable ? port.close() : null);
+  }
+
+  /**
+   * Handle the port unplugged or failed, the port is kept to reopen.
+   * @private
+   */
+  _handleDisconnection() {
+    // Skip if it is closed already, both unplugging and reading fail.
+    if (!this._port || !this._writer) {
+      return;
+    }
+
+    this._log('Serial port disconnected');
+
+    // Closing the lost port fails the same way, it is not worth logging.
+    this._close(this._port).
+        catch(() => {}).
+        then(() => this.emit('connectionLost'));
+  }
+
+  /**
+   * Format USB vendor or product ID.
+   * @param {number} id
+   * @return {string}
+   * @private
+   */
+  static _formatUsbId(id) {
+    return ('000' + id.toString(16)).slice(-4);
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = SerialTransport;
+}
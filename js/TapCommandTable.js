@@ -0,0 +1,86 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapFrame = require('./TapFrame');
+}
+
+/**
+ * Table of tap protocol commands. Every command is described with:
+ *
+ * - `code`, the command byte;
+ * - `name` to show in logs and hex dumps;
+ * - `direction`, `TapFrame.DEVICE` for commands sent by the tap and
+ *   `TapFrame.APP` for commands sent by the app;
+ * - `payload`, meaning of the 32-bit payload value;
+ * - `handler`, optional function called with the frame received, the
+ *   terminal and the pour session;
+ * - `response`, optional function called with the same arguments, returning
+ *   the payload value of the automatic reply with the same command.
+ */
+class TapCommandTable {
+  /**
+   * Create table.
+   * @param {Array<Object>} [commands=[]] - Commands to register
+   */
+  constructor(commands = []) {
+    this._commands = new Map(); // Commands by code.
+
+    commands.forEach((command) => this.register(command));
+  }
+
+  /**
+   * Register command, replacing the one with the same code.
+   * @param {Object} command - Command description, see the class
+   */
+  register(command) {
+    if (!Number.isInteger(command.code) || command.code < 0 ||
+      command.code > 0xFF) {
+      throw new Error('Command code must be a byte');
+    }
+
+    if (!command.name || typeof command.name !== 'string') {
+      throw new Error('Command name must be a non-empty string');
+    }
+
+    if (command.direction !== TapFrame.DEVICE &&
+      command.direction !== TapFrame.APP) {
+      throw new Error('Command direction must be ' + TapFrame.DEVICE + ' or ' +
+        TapFrame.APP);
+    }
+
+    ['handler', 'response'].forEach((field) => {
+      if (command[field] !== undefined &&
+        typeof command[field] !== 'function') {
+        throw new Error('Command ' + field + ' must be a function');
+      }
+    });
+
+    this._commands.set(command.code, Object.assign({payload: ''}, command));
+  }
+
+  /**
+   * Get command.
+   * @param {number} code - Command code
+   * @return {?Object} Command or null if it is not registered
+   */
+  get(code) {
+    return this._commands.get(code) || null;
+  }
+
+  /**
+   * Get all commands ordered by code.
+   * @return {Array<Object>}
+   */
+  getAll() {
+    return Array.from(this._commands.values()).
+        sort((a, b) => a.code - b.code);
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapCommandTable;
+}
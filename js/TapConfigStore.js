@@ -0,0 +1,113 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.JsonStorageItem = require('./JsonStorageItem');
+}
+
+/**
+ * Per-tap configuration keyed by the long device ID received with command 21
+ * and persisted in the local storage.
+ */
+class TapConfigStore {
+  /**
+   * Create store.
+   * @param {Storage} [storage=localStorage] - Storage to persist in
+   * @param {string} [key='tap-config'] - Storage key
+   */
+  constructor(storage = localStorage, key = 'tap-config') {
+    this._item = new JsonStorageItem(storage, key);
+  }
+
+  /**
+   * Get tap configuration, defaults are used for what is not configured.
+   * @param {?string} deviceId - Long device ID
+   * @return {Object} Configuration with `tapSide`, `volumeLimit`, `price` and
+   *                  `balance` fields
+   */
+  get(deviceId) {
+    return Object.assign({}, TapConfigStore.DEFAULTS,
+        deviceId ? this._item.read()[deviceId] : {});
+  }
+
+  /**
+   * Save tap configuration.
+   * @param {string} deviceId - Long device ID
+   * @param {Object} config - Configuration fields to change
+   * @param {number} [config.tapSide] - `TapConfigStore.LEFT` or
+   *                                    `TapConfigStore.RIGHT`
+   * @param {number} [config.volumeLimit] - Pour volume limit in ml
+   * @param {number} [config.price] - Price in cents per litre
+   * @param {number} [config.balance] - Balance in cents reported for cards
+   * @return {Object} Saved configuration
+   */
+  set(deviceId, config) {
+    if (!deviceId) {
+      throw new Error('Device ID must be not empty');
+    }
+
+    const saved = this.get(deviceId);
+
+    Object.keys(TapConfigStore.DEFAULTS).forEach((field) => {
+      if (config[field] === undefined) {
+        return;
+      }
+
+      const value = Number(config[field]);
+
+      if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+        throw new Error('Field ' + field +
+          ' must be a 32-bit unsigned integer');
+      }
+
+      saved[field] = value;
+    });
+
+    if (saved.tapSide !== TapConfigStore.LEFT &&
+      saved.tapSide !== TapConfigStore.RIGHT) {
+      throw new Error('Tap side must be ' + TapConfigStore.LEFT + ' or ' +
+        TapConfigStore.RIGHT);
+    }
+
+    const configs = this._item.read();
+    configs[deviceId] = saved;
+    this._item.write(configs);
+
+    return saved;
+  }
+
+  /**
+   * Remove tap configuration, so defaults are used again.
+   * @param {string} deviceId - Long device ID
+   */
+  remove(deviceId) {
+    const configs = this._item.read();
+    delete configs[deviceId];
+    this._item.write(configs);
+  }
+
+  /**
+   * Get IDs of configured taps.
+   * @return {Array<string>}
+   */
+  getDeviceIds() {
+    return Object.keys(this._item.read());
+  }
+}
+
+TapConfigStore.LEFT = 1;
+TapConfigStore.RIGHT = 2;
+
+TapConfigStore.DEFAULTS = {
+  tapSide: TapConfigStore.LEFT,
+  volumeLimit: 2000,
+  price: 100,
+  balance: 1000,
+};
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapConfigStore;
+}
@@ -0,0 +1,268 @@
+/* eslint-env browser, node */
+
+/**
+ * Tap protocol frame, 11 bytes long:
+ *
+ * | Byte | Meaning                                                    |
+ * | ---- | ---------------------------------------------------------- |
+ * | 0    | Command                                                    |
+ * | 1-4  | Payload, 32-bit unsigned big-endian value                  |
+ * | 5-8  | Spare bytes, or the lower half of the long device ID       |
+ * | 9    | Direction: 253 from the tap, 254 from the app              |
+ * | 10   | Terminator, always 10                                      |
+ *
+ * Command 21 sent by the tap carries the 64-bit long device ID in bytes 1-8.
+ * Protocol v2 puts the sequence number and the checksum to the spare bytes,
+ * see `TapLink`.
+ */
+class TapFrame {
+  /**
+   * Create frame.
+   * @param {number} command - Command code
+   * @param {number} [value=0] - 32-bit payload value
+   * @param {Object} [options] - Options
+   * @param {number} [options.direction=TapFrame.APP] - Direction byte
+   * @param {?string} [options.longId=null] - 64-bit long ID as a hex string,
+   *                                          replaces value and spare bytes
+   * @param {Array<number>} [options.spare=[0, 0, 0, 0]] - Spare bytes 5-8
+   */
+  constructor(command, value = 0, {direction = TapFrame.APP, longId = null,
+    spare = [0, 0, 0, 0]} = {}) {
+    if (!TapFrame._isByte(command)) {
+      throw new Error('Command must be a byte');
+    }
+
+    if (direction !== TapFrame.DEVICE && direction !== TapFrame.APP) {
+      throw new Error('Direction must be ' + TapFrame.DEVICE + ' or ' +
+        TapFrame.APP);
+    }
+
+    if (longId !== null) {
+      longId = TapFrame.normalizeLongId(longId);
+      value = parseInt(longId.substring(0, 8), 16);
+      spare = TapFrame._hexToBytes(longId.substring(8));
+    }
+
+    if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+      throw new Error('Value must be a 32-bit unsigned integer');
+    }
+
+    if (spare.length !== 4 || !spare.every(TapFrame._isByte)) {
+      throw new Error('Spare must be an array of 4 bytes');
+    }
+
+    this.command = command;
+    this.value = value;
+    this.direction = direction;
+    this.longId = longId;
+    this.spare = Array.from(spare);
+  }
+
+  /**
+   * Check if the frame was sent by the tap.
+   * @return {boolean}
+   */
+  isFromDevice() {
+    return this.direction === TapFrame.DEVICE;
+  }
+
+  /**
+   * Encode frame to bytes.
+   * @return {Uint8Array} 11 bytes
+   */
+  encode() {
+    const bytes = new Uint8Array(TapFrame.LENGTH);
+
+    bytes[0] = this.command;
+    bytes[1] = (this.value >>> 24) & 0xFF;
+    bytes[2] = (this.value >>> 16) & 0xFF;
+    bytes[3] = (this.value >>> 8) & 0xFF;
+    bytes[4] = this.value & 0xFF;
+    bytes.set(this.spare, 5);
+    bytes[9] = this.direction;
+    bytes[10] = TapFrame.TERMINATOR;
+
+    return bytes;
+  }
+
+  /**
+   * Describe frame to show next to its hex dump.
+   * @param {?TapCommandTable} [commands=null] - Table to name the command
+   * @return {string} Command code and name, payload and direction, e.g.
+   *                  `42 volume limit, value 2000, from app (254)`
+   */
+  describe(commands = null) {
+    const command = commands && commands.get(this.command);
+    const name = command && command.name;
+    const spare = this.spare.some(Boolean) ?
+      ', spare ' + TapFrame.formatHex(this.spare) : '';
+
+    return this.command + (name ? ' ' + name : '') +
+      (commands && !name ? ' unknown command' : '') +
+      (this.longId !== null ? ', long ID ' + this.longId :
+        ', value ' + this.value + spare) +
+      (this.isFromDevice() ? ', from tap (' : ', from app (') +
+      this.direction + ')';
+  }
+
+  /**
+   * Decode frame from bytes, long ID is filled for command 21 sent by the tap.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data - 11 bytes
+   * @return {TapFrame}
+   */
+  static decode(data) {
+    const bytes = TapFrame.toBytes(data);
+
+    if (bytes.length !== TapFrame.LENGTH) {
+      throw new Error('Frame length must be equal to ' + TapFrame.LENGTH +
+        ' bytes, got ' + bytes.length);
+    }
+
+    if (bytes[10] !== TapFrame.TERMINATOR) {
+      throw new Error('Frame must end with terminator ' +
+        TapFrame.TERMINATOR + ', got ' + bytes[10]);
+    }
+
+    const direction = bytes[9];
+
+    if (direction !== TapFrame.DEVICE && direction !== TapFrame.APP) {
+      throw new Error('Unknown frame direction ' + direction);
+    }
+
+    const command = bytes[0];
+
+    if (TapFrame.hasLongId(command, direction)) {
+      return new TapFrame(command, 0, {
+        direction,
+        longId: TapFrame._bytesToHex(bytes.subarray(1, 9)),
+      });
+    }
+
+    const value = ((bytes[1] << 24) | (bytes[2] << 16) | (bytes[3] << 8) |
+      bytes[4]) >>> 0;
+
+    return new TapFrame(command, value, {
+      direction,
+      spare: bytes.subarray(5, 9),
+    });
+  }
+
+  /**
+   * Check if frame with the given command and direction carries a long ID.
+   * @param {number} command
+   * @param {number} direction
+   * @return {boolean}
+   */
+  static hasLongId(command, direction) {
+    return command === TapFrame.HANDSHAKE && direction === TapFrame.DEVICE;
+  }
+
+  /**
+   * Convert supported binary data representations to bytes.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data
+   * @return {Uint8Array}
+   */
+  static toBytes(data) {
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    if (data instanceof ArrayBuffer || Array.isArray(data)) {
+      return new Uint8Array(data);
+    }
+
+    throw new Error('Data type is not supported');
+  }
+
+  /**
+   * Format bytes as a hex dump, e.g. `15 00 00 07 D0 00 00 00 00 FE 0A`.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data
+   * @return {string}
+   */
+  static formatHex(data) {
+    return Array.from(TapFrame.toBytes(data)).
+        map((byte) => byte.toString(16).toUpperCase().padStart(2, '0')).
+        join(' ');
+  }
+
+  /**
+   * Parse bytes typed as hex, every byte is a pair of digits, groups of them
+   * may be separated with spaces or commas and prefixed with `0x`.
+   * @param {string} text - Hex, e.g. `15 00 00 07 D0 00 00 00 00 FE 0A`
+   * @return {Uint8Array}
+   */
+  static parseHex(text) {
+    const groups = String(text).trim().split(/[\s,]+/).
+        map((group) => group.replace(/^0x/i, ''));
+
+    if (!groups.every((group) => /^([0-9a-f]{2})+$/i.test(group))) {
+      throw new Error('Hex must be pairs of hex digits, e.g. 15 00 FE 0A');
+    }
+
+    return Uint8Array.from(TapFrame._hexToBytes(groups.join('')));
+  }
+
+  /**
+   * Normalize long ID to 16 lowercase hex digits.
+   * @param {string} longId - Up to 16 hex digits
+   * @return {string}
+   */
+  static normalizeLongId(longId) {
+    longId = String(longId).toLowerCase();
+
+    if (!/^[0-9a-f]{1,16}$/.test(longId)) {
+      throw new Error('Long ID must be up to 16 hex digits');
+    }
+
+    return longId.padStart(16, '0');
+  }
+
+  /**
+   * Check byte.
+   * @param {number} value
+   * @return {boolean}
+   * @private
+   */
+  static _isByte(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xFF;
+  }
+
+  /**
+   * Bytes to hex.
+   * @param {Uint8Array} bytes
+   * @return {string}
+   * @private
+   */
+  static _bytesToHex(bytes) {
+    return Array.from(bytes).
+        map((byte) => byte.toString(16).padStart(2, '0')).
+        join('');
+  }
+
+  /**
+   * Hex to bytes.
+   * @param {string} hex
+   * @return {Array<number>}
+   * @private
+   */
+  static _hexToBytes(hex) {
+    return hex.match(/../g).map((pair) => parseInt(pair, 16));
+  }
+}
+
+TapFrame.LENGTH = 11;
+TapFrame.TERMINATOR = 10;
+TapFrame.DEVICE = 253;
+TapFrame.APP = 254;
+TapFrame.HANDSHAKE = 21;
+TapFrame.CHALLENGE = 22;
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapFrame;
+}
@@ -0,0 +1,133 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapFrame = require('./TapFrame');
+}
+
+/**
+ * Receive buffer reassembling tap frames from notifications, which may contain
+ * a part of a frame or several frames at once.
+ */
+class TapFrameReceiver {
+  /**
+   * Create receiver.
+   * @param {function(TapFrame)} onFrame - Called for every complete frame
+   * @param {function(Uint8Array)} [onResync] - Called with bytes dropped
+   *                                            while looking for the frame
+   *                                            boundary
+   * @param {function(Error, Uint8Array)} [onError] - Called with error thrown
+   *                                                 while decoding or
+   *                                                 handling the frame, the
+   *                                                 next frames are still
+   *                                                 emitted
+   */
+  constructor(onFrame, onResync = () => {}, onError = (error) => {
+    console.error(error); // eslint-disable-line no-console
+  }) {
+    this._onFrame = onFrame;
+    this._onResync = onResync;
+    this._onError = onError;
+    this._buffer = new Uint8Array(0); // Bytes of not completed frame.
+    this.resyncCount = 0; // Number of times corrupted data was dropped.
+  }
+
+  /**
+   * Append received data and emit every complete frame.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data
+   */
+  push(data) {
+    const bytes = TapFrame.toBytes(data);
+    const buffer = new Uint8Array(this._buffer.length + bytes.length);
+
+    buffer.set(this._buffer);
+    buffer.set(bytes, this._buffer.length);
+    this._buffer = buffer;
+
+    while (this._buffer.length >= TapFrame.LENGTH) {
+      const offset = this._findFrameOffset();
+
+      if (offset > 0) {
+        this._resync(offset);
+        continue;
+      }
+
+      // Frame is taken out of the buffer before it is handled, so a throwing
+      // handler neither gets it again nor loses the frames after it.
+      const frame = this._buffer.slice(0, TapFrame.LENGTH);
+      this._buffer = this._buffer.slice(TapFrame.LENGTH);
+
+      try {
+        this._onFrame(TapFrame.decode(frame));
+      } catch (error) {
+        this._onError(error, frame);
+      }
+    }
+  }
+
+  /**
+   * Get bytes of not completed frame.
+   * @return {Uint8Array} Copy of the bytes waiting for the rest of the frame
+   */
+  pending() {
+    return this._buffer.slice();
+  }
+
+  /**
+   * Drop not completed frame, used when the connection is lost.
+   */
+  reset() {
+    this._buffer = new Uint8Array(0);
+  }
+
+  /**
+   * Find offset of the first position in the buffer looking like a frame,
+   * keeping the tail which still may become one.
+   * @return {number}
+   * @private
+   */
+  _findFrameOffset() {
+    const last = this._buffer.length - TapFrame.LENGTH;
+
+    for (let offset = 0; offset <= last; offset++) {
+      if (this._isFrameAt(offset)) {
+        return offset;
+      }
+    }
+
+    return last + 1;
+  }
+
+  /**
+   * Check if frame direction and terminator bytes are in place at offset.
+   * @param {number} offset
+   * @return {boolean}
+   * @private
+   */
+  _isFrameAt(offset) {
+    const direction = this._buffer[offset + 9];
+
+    return this._buffer[offset + 10] === TapFrame.TERMINATOR &&
+      (direction === TapFrame.DEVICE || direction === TapFrame.APP);
+  }
+
+  /**
+   * Drop corrupted bytes.
+   * @param {number} length
+   * @private
+   */
+  _resync(length) {
+    const dropped = this._buffer.slice(0, length);
+    this._buffer = this._buffer.slice(length);
+    this.resyncCount++;
+
+    this._onResync(dropped);
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapFrameReceiver;
+}
@@ -0,0 +1,210 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapFrame = require('./TapFrame');
+}
+
+/**
+ * Integrity of tap frames for one connection. Version 1 frames are taken as
+ * they are. Version 2 frames carry a rolling sequence number in byte 5 and
+ * CRC-8 of bytes 0-7 in byte 8, bytes 6 and 7 are reserved zeros:
+ *
+ * - handshake commands 21, 22 and 23 are always sent as version 1 frames;
+ * - retransmission requests, command 24, carry the checksum but take no
+ *   sequence number;
+ * - every other frame takes the next sequence number of its direction.
+ *
+ * Frames out of order are dropped, the receiver asks to retransmit frames
+ * starting from the expected one.
+ */
+class TapLink {
+  /**
+   * Create link.
+   * @param {number} [historySize=32] - Number of sent frames kept to
+   *                                    retransmit
+   */
+  constructor(historySize = 32) {
+    this._historySize = historySize;
+    this.reset();
+  }
+
+  /**
+   * Get protocol version used.
+   * @return {number} 1 or 2
+   */
+  getVersion() {
+    return this._version;
+  }
+
+  /**
+   * Use protocol version starting with zero sequence numbers.
+   * @param {number} version - 1 or 2
+   */
+  setVersion(version) {
+    if (!TapLink.VERSIONS.includes(version)) {
+      throw new Error('Protocol version must be one of ' +
+        TapLink.VERSIONS.join(', '));
+    }
+
+    this._version = version;
+    this._nextSent = 0;
+    this._expected = 0;
+    this._history = [];
+    this._retransmitRequest = null;
+  }
+
+  /**
+   * Get back to version 1, as for a new connection.
+   */
+  reset() {
+    this.setVersion(1);
+  }
+
+  /**
+   * Add sequence number and checksum to the frame to send.
+   * @param {TapFrame} frame
+   * @return {TapFrame} Frame to send, the same frame with version 1
+   */
+  wrap(frame) {
+    if (this._version === 1 || TapLink.PLAIN_COMMANDS.includes(frame.command)) {
+      return frame;
+    }
+
+    const sequence = frame.command === TapLink.RETRANSMIT ? 0 :
+      this._nextSent;
+    const bytes = new TapFrame(frame.command, frame.value,
+        {direction: frame.direction, spare: [sequence, 0, 0, 0]}).encode();
+    const wrapped = new TapFrame(frame.command, frame.value, {
+      direction: frame.direction,
+      spare: [sequence, 0, 0, TapLink.crc8(bytes.subarray(0, 8))],
+    });
+
+    if (frame.command !== TapLink.RETRANSMIT) {
+      this._nextSent = (this._nextSent + 1) % 256;
+      this._history.push(wrapped);
+
+      if (this._history.length > this._historySize) {
+        this._history.shift();
+      }
+    }
+
+    return wrapped;
+  }
+
+  /**
+   * Check the frame received, the expected sequence number moves on if it is
+   * in order.
+   * @param {TapFrame} frame
+   * @return {string} `TapLink.OK`, `DUPLICATE` for frames received before,
+   *                  `GAP` for frames ahead of the expected one or
+   *                  `CORRUPTED` for checksum mismatch
+   */
+  check(frame) {
+    if (this._version === 1 || TapLink.PLAIN_COMMANDS.includes(frame.command)) {
+      return TapLink.OK;
+    }
+
+    const bytes = frame.encode();
+
+    if (TapLink.crc8(bytes.subarray(0, 8)) !== bytes[8]) {
+      return TapLink.CORRUPTED;
+    }
+
+    if (frame.command === TapLink.RETRANSMIT) {
+      return TapLink.OK;
+    }
+
+    const distance = (bytes[5] - this._expected + 256) % 256;
+
+    if (distance === 0) {
+      this._expected = (this._expected + 1) % 256;
+      this._retransmitRequest = null;
+      return TapLink.OK;
+    }
+
+    return distance < 128 ? TapLink.GAP : TapLink.DUPLICATE;
+  }
+
+  /**
+   * Get sequence number of the next frame expected.
+   * @return {number}
+   */
+  getExpected() {
+    return this._expected;
+  }
+
+  /**
+   * Get sequence number to ask the retransmission from, once per expected
+   * frame unless the previous request is older than the timeout.
+   * @param {number} [timeout=1000] - Time to wait for the retransmission in
+   *                                  milliseconds
+   * @return {?number} Sequence number or null if it is asked already
+   */
+  takeRetransmitRequest(timeout = 1000) {
+    const now = Date.now();
+    const request = this._retransmitRequest;
+
+    if (request && request.sequence === this._expected &&
+      now - request.time < timeout) {
+      return null;
+    }
+
+    this._retransmitRequest = {sequence: this._expected, time: now};
+
+    return this._expected;
+  }
+
+  /**
+   * Get frames sent starting from the sequence number, to retransmit them.
+   * @param {number} sequence
+   * @return {?Array<TapFrame>} Frames or null if the frame is not kept
+   */
+  getSent(sequence) {
+    const index = this._history.findIndex((frame) =>
+      frame.spare[0] === sequence);
+
+    return index === -1 ? null : this._history.slice(index);
+  }
+
+  /**
+   * Compute CRC-8 with polynomial 0x07 and zero initial value.
+   * @param {(Uint8Array|Array<number>)} bytes
+   * @return {number}
+   */
+  static crc8(bytes) {
+    let crc = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+      crc ^= bytes[i];
+
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+      }
+    }
+
+    return crc;
+  }
+}
+
+// Protocol versions and commands of the link.
+TapLink.VERSIONS = [1, 2];
+TapLink.VERSION = 23;
+TapLink.RETRANSMIT = 24;
+
+// Commands sent as version 1 frames in any version.
+TapLink.PLAIN_COMMANDS = [TapFrame.HANDSHAKE, TapFrame.CHALLENGE,
+  TapLink.VERSION];
+
+// Results of the check.
+TapLink.OK = 'ok';
+TapLink.DUPLICATE = 'duplicate';
+TapLink.GAP = 'gap';
+TapLink.CORRUPTED = 'corrupted';
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapLink;
+}
@@ -0,0 +1,185 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.EventEmitter = require('./EventEmitter');
+  global.TapSession = require('./TapSession');
+}
+
+/**
+ * Manager of several taps connected at once, every tap has its own terminal
+ * with its own protocol state and pour session.
+ *
+ * Events: `tapAdded` and `tapRemoved` with the tap, events of every tap
+ * terminal listed in `TapManager.EVENTS` with the tap followed by the event
+ * arguments.
+ */
+class TapManager extends EventEmitter {
+  /**
+   * Create manager.
+   * @param {function(): BluetoothTerminal} createTerminal - Creates terminal
+   *                                                        for a new tap
+   */
+  constructor(createTerminal) {
+    super();
+    this._createTerminal = createTerminal;
+    this._taps = new Map(); // Taps by ID.
+    this._lastId = 0;
+  }
+
+  /**
+   * Add tap, it is not connected until `connect` is called.
+   * @return {Object} Tap with `id` and `terminal` fields
+   */
+  add() {
+    const tap = {
+      id: 'tap-' + (++this._lastId),
+      terminal: this._createTerminal(),
+    };
+
+    TapManager.EVENTS.forEach((type) => tap.terminal.on(type,
+        (...args) => this.emit(type, tap, ...args)));
+
+    this._taps.set(tap.id, tap);
+    this.emit('tapAdded', tap);
+
+    return tap;
+  }
+
+  /**
+   * Disconnect and remove tap.
+   * @param {string} id - Tap ID
+   */
+  remove(id) {
+    const tap = this._getTap(id);
+
+    tap.terminal.disconnect();
+    this._taps.delete(id);
+    this.emit('tapRemoved', tap);
+  }
+
+  /**
+   * Get tap.
+   * @param {string} id - Tap ID
+   * @return {?Object} Tap or null if there is no such tap
+   */
+  get(id) {
+    return this._taps.get(id) || null;
+  }
+
+  /**
+   * Get all taps in the order they were added.
+   * @return {Array<Object>}
+   */
+  getAll() {
+    return Array.from(this._taps.values());
+  }
+
+  /**
+   * Find tap by the long device ID it has reported.
+   * @param {string} deviceId - Long device ID
+   * @return {?Object} Tap or null if no connected tap has this ID
+   */
+  findByDeviceId(deviceId) {
+    return this.getAll().
+        find((tap) => tap.terminal.getDeviceId() === deviceId) || null;
+  }
+
+  /**
+   * Connect tap, launching the device chooser if it is not connected before.
+   * @param {string} id - Tap ID
+   * @param {*} [device] - Device to connect to, see `BluetoothTerminal.connect`
+   * @return {Promise}
+   */
+  connect(id, device = null) {
+    try {
+      return this._getTap(id).terminal.connect(device);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Add tap for every device permitted in the chooser before and not used by
+   * any tap, every tap connects once its device advertises.
+   * @return {Promise<Array<Object>>} Promise which will be fulfilled with the
+   *                                  taps added
+   */
+  restore() {
+    if (typeof navigator === 'undefined' || !navigator.bluetooth ||
+      typeof navigator.bluetooth.getDevices !== 'function') {
+      return Promise.resolve([]);
+    }
+
+    return navigator.bluetooth.getDevices().then((devices) => devices.
+        filter((device) => !this.getAll().some((tap) =>
+          tap.terminal.getDevice() &&
+          tap.terminal.getDevice().id === device.id)).
+        map((device) => {
+          const tap = this.add();
+
+          // Failures are logged by the terminal, which gets disconnected
+          // unless another connection attempt has taken over.
+          tap.terminal.connectWhenAdvertised(device).catch(() => {});
+
+          return tap;
+        }));
+  }
+
+  /**
+   * Disconnect and remove tap, revoking the permission to its device.
+   * @param {string} id - Tap ID
+   * @return {Promise}
+   */
+  forget(id) {
+    try {
+      const tap = this._getTap(id);
+
+      return tap.terminal.forget().then(() => this.remove(id));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Disconnect tap.
+   * @param {string} id - Tap ID
+   */
+  disconnect(id) {
+    this._getTap(id).terminal.disconnect();
+  }
+
+  /**
+   * Disconnect all taps.
+   */
+  disconnectAll() {
+    this._taps.forEach((tap) => tap.terminal.disconnect());
+  }
+
+  /**
+   * Get tap or throw.
+   * @param {string} id
+   * @return {Object}
+   * @private
+   */
+  _getTap(id) {
+    const tap = this._taps.get(id);
+
+    if (!tap) {
+      throw new Error('There is no tap ' + id);
+    }
+
+    return tap;
+  }
+}
+
+TapManager.EVENTS = TapSession.EVENTS.concat(['frameRejected',
+  'connectionStateChange', 'dataReceived', 'frameReceived', 'frameSent',
+  'watchdog', 'handshake', 'transactionQueued']);
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapManager;
+}
@@ -0,0 +1,57 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.ProtocolHandler = require('./ProtocolHandler');
+  global.TapFrameReceiver = require('./TapFrameReceiver');
+}
+
+/**
+ * Tap binary protocol: incoming bytes are reassembled into frames passed to
+ * the `receiveFrame` method of the terminal, corrupted bytes are reported to
+ * its `diagnostic` method.
+ */
+class TapProtocol extends ProtocolHandler {
+  /**
+   * Create handler.
+   */
+  constructor() {
+    super();
+
+    // Buffer reassembling tap frames split or coalesced by notifications.
+    this._frameReceiver = new TapFrameReceiver(
+        (frame) => this._terminal.receiveFrame(frame),
+        (dropped) => this._terminal.diagnostic({
+          type: 'resync',
+          droppedBytes: Array.from(dropped),
+          resyncCount: this._frameReceiver.resyncCount,
+        }),
+        (error, frame) => this._terminal.diagnostic({
+          type: 'frameError',
+          frame: Array.from(frame),
+          error: String(error),
+        }));
+  }
+
+  /**
+   * Handle bytes notified by the device.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data
+   */
+  receive(data) {
+    this._frameReceiver.push(data);
+  }
+
+  /**
+   * Drop not completed frame.
+   */
+  reset() {
+    this._frameReceiver.reset();
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapProtocol;
+}
@@ -0,0 +1,107 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapFrame = require('./TapFrame');
+  global.JsonStorageItem = require('./JsonStorageItem');
+}
+
+/**
+ * Registry of known taps keyed by the 64-bit long device ID received with
+ * command 21 and persisted in the local storage. A tap with a shared secret
+ * has to answer the challenge, see `TapRegistry.sign`.
+ */
+class TapRegistry {
+  /**
+   * Create registry.
+   * @param {Storage} [storage=localStorage] - Storage to persist in
+   * @param {string} [key='tap-registry'] - Storage key
+   */
+  constructor(storage = localStorage, key = 'tap-registry') {
+    this._item = new JsonStorageItem(storage, key);
+  }
+
+  /**
+   * Register tap or change it.
+   * @param {string} deviceId - Long device ID, up to 16 hex digits
+   * @param {Object} [options] - Options
+   * @param {string} [options.name=''] - Name to show
+   * @param {?string} [options.secret=null] - Shared secret in hex, the tap is
+   *                                          challenged if it is set
+   * @return {Object} Registered tap with `deviceId`, `name` and `secret`
+   */
+  add(deviceId, {name = '', secret = null} = {}) {
+    deviceId = TapFrame.normalizeLongId(deviceId);
+
+    if (secret) {
+      secret = String(secret).replace(/\s/g, '').toLowerCase();
+
+      if (!/^([0-9a-f]{2})+$/.test(secret)) {
+        throw new Error('Secret must be pairs of hex digits');
+      }
+    }
+
+    const taps = this._item.read();
+    taps[deviceId] = {name: String(name), secret: secret || null};
+    this._item.write(taps);
+
+    return this.get(deviceId);
+  }
+
+  /**
+   * Unregister tap.
+   * @param {string} deviceId - Long device ID
+   */
+  remove(deviceId) {
+    const taps = this._item.read();
+    delete taps[TapFrame.normalizeLongId(deviceId)];
+    this._item.write(taps);
+  }
+
+  /**
+   * Get registered tap.
+   * @param {?string} deviceId - Long device ID
+   * @return {?Object} Tap with `deviceId`, `name` and `secret` or null if it
+   *                   is not registered
+   */
+  get(deviceId) {
+    if (!deviceId) {
+      return null;
+    }
+
+    deviceId = TapFrame.normalizeLongId(deviceId);
+    const tap = this._item.read()[deviceId];
+
+    return tap ? Object.assign({deviceId}, tap) : null;
+  }
+
+  /**
+   * Get IDs of registered taps.
+   * @return {Array<string>}
+   */
+  getDeviceIds() {
+    return Object.keys(this._item.read());
+  }
+
+  /**
+   * Compute the challenge response: the first 4 bytes of HMAC-SHA256 of the
+   * nonce keyed with the shared secret, as a big-endian value.
+   * @param {string} secret - Shared secret in hex
+   * @param {Array<number>} nonce - 4 bytes sent in the spare bytes of
+   *                                command 22
+   * @return {Promise<number>} 32-bit unsigned value
+   */
+  static sign(secret, nonce) {
+    return crypto.subtle.importKey('raw', TapFrame.parseHex(secret),
+        {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']).
+        then((key) => crypto.subtle.sign('HMAC', key, Uint8Array.from(nonce))).
+        then((signature) => new DataView(signature).getUint32(0));
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapRegistry;
+}
@@ -0,0 +1,240 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.EventEmitter = require('./EventEmitter');
+}
+
+/**
+ * Pour session started when the tap reports a card with command 31:
+ *
+ * authorizing -> configured (41-44 answered) -> pouring (36) -> finished
+ * (32-35 or 51), or aborted from any active state. A configured or pouring
+ * session told to close the tap is closing until the tap finishes it with the
+ * amount dispensed.
+ *
+ * Events, every listener is called with the session:
+ * - `stateChange` whenever the state changes;
+ * - `pourStarted` with the first progress frame;
+ * - `pourProgress` with every progress frame, `amount` is poured so far;
+ * - `pourFinished` when the tap finishes, see `reason` and `amount`;
+ * - `pourAborted` when the session is aborted, see `reason`.
+ */
+class TapSession extends EventEmitter {
+  /**
+   * Create session in the authorizing state.
+   * @param {number} cardNumber - RFID card number
+   * @param {?string} [deviceId=null] - Long ID of the tap
+   */
+  constructor(cardNumber, deviceId = null) {
+    super();
+    this.id = Date.now().toString(36) + '-' +
+      Math.random().toString(36).substring(2, 10);
+    this.cardNumber = cardNumber;
+    this.deviceId = deviceId;
+    this.state = TapSession.AUTHORIZING;
+    this.authorized = null; // Authorization result, null while pending.
+    this.amount = 0; // Amount poured so far.
+    this.reason = null; // Finish command code or abort reason.
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    this.config = {}; // Configuration answered, see `CONFIG_FIELDS`.
+  }
+
+  /**
+   * Check if the session is not finished or aborted yet.
+   * @return {boolean}
+   */
+  isActive() {
+    return this.state !== TapSession.FINISHED &&
+      this.state !== TapSession.ABORTED;
+  }
+
+  /**
+   * Check if the command is expected in the current state.
+   * @param {number} command - Command code received from the tap
+   * @return {boolean}
+   */
+  accepts(command) {
+    if (command === TapSession.CARD) {
+      // The tap repeats the card if the authorization is not answered.
+      return this.state !== TapSession.CONFIGURED &&
+        this.state !== TapSession.POURING;
+    }
+
+    if (TapSession.CONFIG_COMMANDS.includes(command)) {
+      return (this.state === TapSession.AUTHORIZING && this.authorized) ||
+        this.state === TapSession.CONFIGURED;
+    }
+
+    if (command === TapSession.PROGRESS ||
+      TapSession.FINISH_COMMANDS.includes(command)) {
+      return this.state === TapSession.CONFIGURED ||
+        this.state === TapSession.POURING ||
+        this.state === TapSession.CLOSING;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if the command drives the session.
+   * @param {number} command - Command code received from the tap
+   * @return {boolean}
+   */
+  static isSessionCommand(command) {
+    return command === TapSession.CARD || command === TapSession.PROGRESS ||
+      TapSession.CONFIG_COMMANDS.includes(command) ||
+      TapSession.FINISH_COMMANDS.includes(command);
+  }
+
+  /**
+   * Set authorization result, denied session is aborted.
+   * @param {boolean} allowed
+   */
+  setAuthorized(allowed) {
+    this._expect(TapSession.AUTHORIZING);
+    this.authorized = allowed;
+
+    if (!allowed) {
+      this.abort(TapSession.DENIED);
+    }
+  }
+
+  /**
+   * Record configuration command answered, the session becomes configured
+   * when all of them are.
+   * @param {number} command - One of 41-44
+   * @param {number} value - Value answered
+   */
+  configure(command, value) {
+    this._expect(TapSession.AUTHORIZING, TapSession.CONFIGURED);
+
+    this.config[TapSession.CONFIG_FIELDS[command]] = value;
+
+    if (this.state === TapSession.AUTHORIZING &&
+      Object.keys(this.config).length === TapSession.CONFIG_COMMANDS.length) {
+      this._setState(TapSession.CONFIGURED);
+    }
+  }
+
+  /**
+   * Record progress reported with command 36.
+   * @param {number} amount - Amount poured so far
+   */
+  progress(amount) {
+    this._expect(TapSession.CONFIGURED, TapSession.POURING,
+        TapSession.CLOSING);
+    this.amount = amount;
+
+    if (this.state === TapSession.CONFIGURED) {
+      this._setState(TapSession.POURING);
+      this.emit('pourStarted', this);
+    }
+
+    this.emit('pourProgress', this);
+  }
+
+  /**
+   * Finish the session.
+   * @param {number} reason - Finish command code, one of 32-35 or 51
+   * @param {number} amount - Amount reported by the tap, amount poured so far
+   *                          is kept if it is zero
+   */
+  finish(reason, amount) {
+    this._expect(TapSession.CONFIGURED, TapSession.POURING,
+        TapSession.CLOSING);
+    this.reason = reason;
+    this.amount = amount || this.amount;
+    this.finishedAt = Date.now();
+
+    this._setState(TapSession.FINISHED);
+    this.emit('pourFinished', this);
+  }
+
+  /**
+   * Wait for the tap told to close to finish the session with the amount
+   * dispensed.
+   * @param {string} reason - Close reason, kept until the tap finishes
+   */
+  close(reason) {
+    this._expect(TapSession.CONFIGURED, TapSession.POURING);
+    this.reason = reason;
+
+    this._setState(TapSession.CLOSING);
+  }
+
+  /**
+   * Abort the session, does nothing if it is already finished or aborted.
+   * @param {string} reason - Abort reason
+   */
+  abort(reason) {
+    if (!this.isActive()) {
+      return;
+    }
+
+    this.reason = reason;
+    this.finishedAt = Date.now();
+
+    this._setState(TapSession.ABORTED);
+    this.emit('pourAborted', this);
+  }
+
+  /**
+   * Throw if the session is not in one of the states.
+   * @param {...string} states
+   * @private
+   */
+  _expect(...states) {
+    if (!states.includes(this.state)) {
+      throw new Error('Session is ' + this.state + ', expected ' +
+        states.join(' or '));
+    }
+  }
+
+  /**
+   * Set state.
+   * @param {string} state
+   * @private
+   */
+  _setState(state) {
+    this.state = state;
+    this.emit('stateChange', this);
+  }
+}
+
+TapSession.AUTHORIZING = 'authorizing';
+TapSession.CONFIGURED = 'configured';
+TapSession.POURING = 'pouring';
+TapSession.CLOSING = 'closing';
+TapSession.FINISHED = 'finished';
+TapSession.ABORTED = 'aborted';
+
+// Abort and close reasons.
+TapSession.DENIED = 'denied';
+TapSession.RESTARTED = 'restarted';
+TapSession.CONNECTION_LOST = 'connectionLost';
+TapSession.POUR_TOO_LONG = 'pourTooLong';
+TapSession.POUR_STALLED = 'pourStalled';
+
+// Commands driving the session.
+TapSession.CARD = 31;
+TapSession.CONFIG_COMMANDS = [41, 42, 43, 44];
+TapSession.CONFIG_FIELDS = {
+  41: 'tapSide',
+  42: 'volumeLimit',
+  43: 'price',
+  44: 'balance',
+};
+TapSession.PROGRESS = 36;
+TapSession.FINISH_COMMANDS = [32, 33, 34, 35, 51];
+
+TapSession.EVENTS = ['stateChange', 'pourStarted', 'pourProgress',
+  'pourFinished', 'pourAborted'];
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TapSession;
+}
@@ -0,0 +1,60 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.ProtocolHandler = require('./ProtocolHandler');
+}
+
+/**
+ * Text line protocol of plain UART devices: incoming text is split by the
+ * receive separator of the terminal and every non-empty line is passed to its
+ * `receive` method.
+ */
+class TextLineProtocol extends ProtocolHandler {
+  /**
+   * Create handler.
+   */
+  constructor() {
+    super();
+    this._receiveBuffer = ''; // Buffer containing not separated data.
+    this._decoder = new TextDecoder();
+  }
+
+  /**
+   * Handle text notified by the device.
+   * @param {(ArrayBuffer|DataView|Uint8Array|Array<number>)} data
+   */
+  receive(data) {
+    const value = this._decoder.decode(Array.isArray(data) ?
+      Uint8Array.from(data) : data, {stream: true});
+    const separator = this._terminal.getReceiveSeparator();
+
+    for (const c of value) {
+      if (c === separator) {
+        const line = this._receiveBuffer.trim();
+        this._receiveBuffer = '';
+
+        if (line) {
+          this._terminal.receive(line);
+        }
+      } else {
+        this._receiveBuffer += c;
+      }
+    }
+  }
+
+  /**
+   * Drop not separated data.
+   */
+  reset() {
+    this._receiveBuffer = '';
+    this._decoder = new TextDecoder();
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TextLineProtocol;
+}
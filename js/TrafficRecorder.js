@@ -0,0 +1,156 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.TapFrame = require('./TapFrame');
+}
+
+/**
+ * Recorder of the traffic of terminals: data notified by the device, bytes
+ * delivered to it and connection state changes, with timestamps. Every entry
+ * has `time` in milliseconds, `source` naming the terminal, `type` (`in`,
+ * `out` or `connection`), `data` (bytes in hex or connection state) and
+ * `attempt` of reconnection.
+ */
+class TrafficRecorder {
+  /**
+   * Create recorder.
+   * @param {number} [limit=10000] - Max number of entries, the oldest ones
+   *                                 are dropped
+   */
+  constructor(limit = 10000) {
+    this._limit = limit;
+    this._entries = [];
+    this._subscriptions = new Map(); // Listeners by terminal.
+  }
+
+  /**
+   * Start recording traffic of the terminal.
+   * @param {BluetoothTerminal} terminal
+   * @param {string} [source=''] - Name of the terminal in the entries
+   */
+  attach(terminal, source = '') {
+    this.detach(terminal);
+
+    const listeners = {
+      dataReceived: (bytes) => this.record(source, TrafficRecorder.IN,
+          TapFrame.formatHex(bytes)),
+      frameSent: (bytes) => this.record(source, TrafficRecorder.OUT,
+          TapFrame.formatHex(bytes)),
+      connectionStateChange: (state, attempt) => this.record(source,
+          TrafficRecorder.CONNECTION, state, attempt),
+    };
+
+    Object.keys(listeners).forEach((type) => terminal.on(type,
+        listeners[type]));
+
+    this._subscriptions.set(terminal, listeners);
+  }
+
+  /**
+   * Stop recording traffic of the terminal.
+   * @param {BluetoothTerminal} terminal
+   */
+  detach(terminal) {
+    const listeners = this._subscriptions.get(terminal);
+
+    if (!listeners) {
+      return;
+    }
+
+    Object.keys(listeners).forEach((type) => terminal.off(type,
+        listeners[type]));
+
+    this._subscriptions.delete(terminal);
+  }
+
+  /**
+   * Add entry.
+   * @param {string} source - Name of the terminal
+   * @param {string} type - `TrafficRecorder.IN`, `OUT` or `CONNECTION`
+   * @param {string} data - Bytes in hex or connection state
+   * @param {number} [attempt=0] - Reconnection attempt
+   */
+  record(source, type, data, attempt = 0) {
+    this._entries.push({time: Date.now(), source, type, data, attempt});
+
+    if (this._entries.length > this._limit) {
+      this._entries.splice(0, this._entries.length - this._limit);
+    }
+  }
+
+  /**
+   * Get entries, oldest first.
+   * @return {Array<Object>}
+   */
+  getEntries() {
+    return this._entries.slice();
+  }
+
+  /**
+   * Drop all entries.
+   */
+  clear() {
+    this._entries = [];
+  }
+
+  /**
+   * Export entries as JSON.
+   * @return {string}
+   */
+  toJson() {
+    return JSON.stringify(this._entries, null, 2);
+  }
+
+  /**
+   * Export entries as CSV with ISO time.
+   * @return {string}
+   */
+  toCsv() {
+    const quote = (value) => /[",\n]/.test(value) ?
+      '"' + value.replace(/"/g, '""') + '"' : value;
+
+    return ['time,source,type,data,attempt'].concat(this._entries.
+        map((entry) => [new Date(entry.time).toISOString(),
+          quote(entry.source), entry.type, quote(entry.data),
+          entry.attempt].join(','))).
+        join('\n') + '\n';
+  }
+
+  /**
+   * Parse entries exported as JSON.
+   * @param {string} json
+   * @return {Array<Object>}
+   */
+  static parse(json) {
+    const entries = JSON.parse(json);
+
+    if (!Array.isArray(entries) || !entries.every((entry) => entry &&
+      Number.isFinite(entry.time) && typeof entry.data === 'string' &&
+      TrafficRecorder.TYPES.includes(entry.type))) {
+      throw new Error('Recording must be an array of entries with time, ' +
+        'type and data');
+    }
+
+    return entries.map((entry) => ({
+      time: entry.time,
+      source: String(entry.source || ''),
+      type: entry.type,
+      data: entry.data,
+      attempt: entry.attempt || 0,
+    }));
+  }
+}
+
+TrafficRecorder.IN = 'in';
+TrafficRecorder.OUT = 'out';
+TrafficRecorder.CONNECTION = 'connection';
+TrafficRecorder.TYPES = [TrafficRecorder.IN, TrafficRecorder.OUT,
+  TrafficRecorder.CONNECTION];
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TrafficRecorder;
+}
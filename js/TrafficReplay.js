@@ -0,0 +1,161 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.EventEmitter = require('./EventEmitter');
+  global.TapFrame = require('./TapFrame');
+  global.TrafficRecorder = require('./TrafficRecorder');
+}
+
+/**
+ * Replay of the recorded traffic into the protocol handler of the terminal,
+ * without a device. Incoming data is passed to the handler as if it was
+ * notified, connection loss resets it, outgoing data is skipped since the
+ * terminal produces its own.
+ *
+ * Events: `step` with every entry replayed, `end` when all entries are
+ * replayed.
+ */
+class TrafficReplay extends EventEmitter {
+  /**
+   * Create replay.
+   * @param {Array<Object>} entries - Entries recorded by `TrafficRecorder`
+   * @param {BluetoothTerminal} terminal - Terminal to replay into
+   */
+  constructor(entries, terminal) {
+    super();
+    this._entries = entries.filter((entry) =>
+      entry.type !== TrafficRecorder.OUT);
+    this._terminal = terminal;
+    this._position = 0;
+    this._timer = null;
+    this._resolvePlay = null;
+  }
+
+  /**
+   * Check if there are entries to replay.
+   * @return {boolean}
+   */
+  hasNext() {
+    return this._position < this._entries.length;
+  }
+
+  /**
+   * Get number of entries replayed.
+   * @return {number}
+   */
+  getPosition() {
+    return this._position;
+  }
+
+  /**
+   * Get number of entries to replay.
+   * @return {number}
+   */
+  getLength() {
+    return this._entries.length;
+  }
+
+  /**
+   * Replay the next entry.
+   * @return {?Object} Entry replayed or null if there are no more entries
+   */
+  step() {
+    if (!this.hasNext()) {
+      return null;
+    }
+
+    const entry = this._entries[this._position++];
+    const protocol = this._terminal.getProtocol();
+
+    if (entry.type === TrafficRecorder.IN) {
+      protocol.receive(TapFrame.parseHex(entry.data));
+    } else if (TrafficReplay.RESETTING_STATES.includes(entry.data)) {
+      protocol.reset();
+    }
+
+    this.emit('step', entry);
+
+    if (!this.hasNext()) {
+      this.emit('end');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Replay the rest of entries keeping the recorded time between them.
+   * @param {number} [speed=1] - Speed multiplier, 2 plays twice as fast
+   * @return {Promise} Promise which will be fulfilled when all entries will
+   *                   be replayed or the replay will be stopped
+   */
+  play(speed = 1) {
+    if (!Number.isFinite(speed) || speed <= 0) {
+      return Promise.reject(new Error('Speed must be a positive number'));
+    }
+
+    this.stop();
+
+    return new Promise((resolve, reject) => {
+      this._resolvePlay = resolve;
+
+      const next = () => {
+        this._timer = null;
+
+        try {
+          const entry = this.step();
+          const following = this._entries[this._position];
+
+          if (!entry || !following) {
+            this._resolvePlay = null;
+            resolve();
+            return;
+          }
+
+          this._timer = setTimeout(next,
+              Math.max(0, following.time - entry.time) / speed);
+        } catch (error) {
+          this._resolvePlay = null;
+          reject(error);
+        }
+      };
+
+      next();
+    });
+  }
+
+  /**
+   * Stop playing, the replay can be continued with `step` or `play`.
+   */
+  stop() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    if (this._resolvePlay) {
+      this._resolvePlay();
+      this._resolvePlay = null;
+    }
+  }
+
+  /**
+   * Start over.
+   */
+  rewind() {
+    this.stop();
+    this._position = 0;
+    this._terminal.getProtocol().reset();
+  }
+}
+
+// Connection states after which data buffered by the handler is dropped, as
+// `BluetoothTerminal` does.
+TrafficReplay.RESETTING_STATES = ['disconnected', 'reconnecting', 'failed'];
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TrafficReplay;
+}
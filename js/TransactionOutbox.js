@@ -0,0 +1,183 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.IndexedDbStore = require('./IndexedDbStore');
+}
+
+/**
+ * Outbox of pour transactions kept in IndexedDB until they are posted to the
+ * REST endpoint. Every transaction is posted as JSON with its ID in the
+ * `Idempotency-Key` header, so the endpoint should record it once however
+ * many times it is posted, 2xx and 409 responses mean it is recorded. Works
+ * in the page and in the service worker.
+ */
+class TransactionOutbox {
+  /**
+   * Create outbox.
+   * @param {?string} [endpoint=null] - Endpoint URL transactions are posted
+   *                                    to, transactions added without one
+   *                                    wait for an outbox having it
+   * @param {string} [databaseName='tap-outbox'] - Database name
+   * @param {IDBFactory} [factory=indexedDB] - IndexedDB implementation
+   */
+  constructor(endpoint = null, databaseName = 'tap-outbox',
+      factory = indexedDB) {
+    this._endpoint = endpoint;
+    this._store = new IndexedDbStore(databaseName, TransactionOutbox.STORE,
+        'id', factory);
+    this._flushing = null; // Promise of the running flush.
+  }
+
+  /**
+   * Add transaction, the one with the same ID is replaced.
+   * @param {Object} transaction - Transaction with unique `id`
+   * @return {Promise}
+   */
+  add(transaction) {
+    if (!transaction.id) {
+      return Promise.reject(new Error('Transaction ID must be not empty'));
+    }
+
+    return this._store.request('readwrite', (store) => store.put({
+      id: transaction.id,
+      endpoint: this._endpoint,
+      queuedAt: Date.now(),
+      attempts: 0,
+      lastError: null,
+      transaction,
+    }));
+  }
+
+  /**
+   * Get transactions waiting for delivery.
+   * @return {Promise<Array<Object>>} Records with `transaction`, `endpoint`,
+   *                                  `attempts` and `lastError`
+   */
+  getAll() {
+    return this._store.request('readonly', (store) => store.getAll());
+  }
+
+  /**
+   * Post waiting transactions one by one, delivered ones are removed as well
+   * as rejected ones which would be rejected again.
+   * @return {Promise<Object>} Promise which will be fulfilled with numbers of
+   *                           transactions `sent`, `failed`, `held` for the
+   *                           lack of endpoint and `rejected`, records of the
+   *                           rejected ones are `dropped`
+   */
+  flush() {
+    if (!this._flushing) {
+      const result = {sent: 0, failed: 0, held: 0, rejected: 0, dropped: []};
+
+      this._flushing = this.getAll().
+          then((records) => records.reduce((promise, record) => promise.
+              then(() => this._send(record)).
+              then((outcome) => {
+                result[outcome]++;
+
+                if (outcome === 'rejected') {
+                  result.dropped.push(record);
+                }
+              }), Promise.resolve())).
+          then(() => {
+            this._flushing = null;
+            return result;
+          }, (error) => {
+            this._flushing = null;
+            throw error;
+          });
+    }
+
+    return this._flushing;
+  }
+
+  /**
+   * Post transaction and remove it if it is delivered or rejected for good,
+   * count the attempt otherwise.
+   * @param {Object} record - Record, the rejected one gets the error
+   * @return {Promise<string>} `sent`, `failed`, `held` or `rejected`
+   * @private
+   */
+  _send(record) {
+    const endpoint = record.endpoint || this._endpoint;
+
+    if (!endpoint) {
+      return Promise.resolve('held');
+    }
+
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Idempotency-Key': record.id,
+      },
+      body: JSON.stringify(record.transaction),
+    }).
+        then((response) => {
+          if (response.ok || response.status === 409) {
+            return this._remove(record).then(() => 'sent');
+          }
+
+          const error = new Error('Transaction is rejected with status ' +
+            response.status);
+
+          if (!TransactionOutbox._isPermanent(response.status)) {
+            throw error;
+          }
+
+          Object.assign(record, {
+            attempts: record.attempts + 1,
+            lastError: String(error),
+          });
+
+          return this._remove(record).then(() => 'rejected');
+        }).
+        catch((error) => this._store.request('readwrite', (store) => store.put(
+            Object.assign({}, record, {
+              attempts: record.attempts + 1,
+              lastError: String(error),
+            }))).
+            then(() => 'failed'));
+  }
+
+  /**
+   * Remove record.
+   * @param {Object} record
+   * @return {Promise}
+   * @private
+   */
+  _remove(record) {
+    return this._store.request('readwrite',
+        (store) => store.delete(record.id));
+  }
+
+  /**
+   * Check if the response status means the transaction will be rejected
+   * however many times it is posted: client errors except timeout and too
+   * many requests.
+   * @param {number} status
+   * @return {boolean}
+   * @private
+   */
+  static _isPermanent(status) {
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+  }
+}
+
+TransactionOutbox.STORE = 'transactions';
+
+// Background Sync tag the service worker flushes the outbox with.
+TransactionOutbox.SYNC_TAG = 'transaction-outbox';
+
+// Type of the message the service worker reports dropped records to the pages
+// with.
+TransactionOutbox.REJECTED = 'transactionsRejected';
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = TransactionOutbox;
+}
@@ -0,0 +1,119 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.EventEmitter = require('./EventEmitter');
+}
+
+/**
+ * Byte link to the tap the terminal runs the tap protocol over, extend it to
+ * implement own links. The device is whatever identifies the other end:
+ * Bluetooth device, serial port or URL, it is kept on unexpected
+ * disconnection to reconnect to it.
+ *
+ * Events: `data` with bytes received, `connectionLost` when the link drops by
+ * itself, `log` with messages to log.
+ */
+class Transport extends EventEmitter {
+  /**
+   * Get transport type to show.
+   * @return {string}
+   */
+  getType() {
+    return 'transport';
+  }
+
+  /**
+   * Connect to the device, ask the user to choose one if there is no device
+   * given or used before.
+   * @param {*} [device] - Device to use
+   * @return {Promise} Promise which will be fulfilled when data can be
+   *                   exchanged or rejected if something went wrong
+   */
+  connect(device = null) {
+    return Promise.reject(new Error(this.getType() +
+      ' transport is not implemented'));
+  }
+
+  /**
+   * Disconnect and drop the device.
+   */
+  disconnect() {
+    // Drop the device.
+  }
+
+  /**
+   * Revoke the permission to the device disconnected.
+   * @param {*} device - Device used before
+   * @return {Promise}
+   */
+  forget(device) {
+    return Promise.resolve();
+  }
+
+  /**
+   * Check if data can be written.
+   * @return {boolean}
+   */
+  isConnected() {
+    return false;
+  }
+
+  /**
+   * Write bytes, one write at a time.
+   * @param {Uint8Array} bytes
+   * @return {Promise} Promise which will be fulfilled when bytes will be
+   *                   written or rejected if something went wrong
+   */
+  write(bytes) {
+    return Promise.reject(new Error('There is no connected device'));
+  }
+
+  /**
+   * Get max number of bytes written at once, longer data is split.
+   * @return {number}
+   */
+  getMaxWriteLength() {
+    return Infinity;
+  }
+
+  /**
+   * Get the device used, connected or not.
+   * @return {*} Device or null if there is no device selected
+   */
+  getDevice() {
+    return null;
+  }
+
+  /**
+   * Get the device name.
+   * @return {string} Device name or empty string if there is no device
+   */
+  getDeviceName() {
+    return '';
+  }
+
+  /**
+   * Explore services of the connected device.
+   * @return {Promise<Array<Object>>} Services, see `BluetoothTerminal.explore`
+   */
+  explore() {
+    return Promise.reject(new Error('Exploring services is not supported ' +
+      'by ' + this.getType() + ' transport'));
+  }
+
+  /**
+   * Log with `log` event, the terminal using the transport logs it.
+   * @param {Array} messages
+   */
+  _log(...messages) {
+    this.emit('log', ...messages);
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = Transport;
+}
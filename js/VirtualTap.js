@@ -0,0 +1,441 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.EventEmitter = require('./EventEmitter');
+  global.FakeBluetooth = require('./FakeBluetooth');
+  global.TapFrame = require('./TapFrame');
+  global.TapFrameReceiver = require('./TapFrameReceiver');
+  global.TapLink = require('./TapLink');
+  global.TapRegistry = require('./TapRegistry');
+}
+
+/**
+ * Simulated tap speaking the tap protocol over a fake Bluetooth device with the
+ * Nordic UART service layout: the app writes to the RX characteristic and gets
+ * notifications from the TX one, or over a byte stream attached with
+ * `attachStream`. The tap introduces itself with command 21 when notifications
+ * are started or the stream is attached and plays scenarios step by step,
+ * waiting for the app replies. The tap with a shared secret answers the
+ * command 22 challenge, the tap supporting protocol v2 switches to it if the
+ * app offers it.
+ *
+ * Events: `handshake` with the reply to command 21, `frame` with every frame
+ * written by the app, `step` with the result of every scenario step,
+ * `challengeError` with the error if the challenge is not answered.
+ */
+class VirtualTap extends EventEmitter {
+  /**
+   * Create virtual tap.
+   * @param {Object} [options] - Options
+   * @param {string} [options.name='Virtual Tap'] - Device name
+   * @param {string} [options.deviceId='0000000000000001'] - Long device ID
+   * @param {?string} [options.secret=null] - Shared secret in hex to answer
+   *                                          the challenge, it is ignored if
+   *                                          null
+   * @param {number} [options.protocolVersion=1] - Highest protocol version
+   *                                               supported
+   * @param {string} [options.serviceUuid] - Service UUID
+   * @param {string} [options.rxCharacteristicUuid] - UUID of the
+   *                                                 characteristic the app
+   *                                                 writes to
+   * @param {string} [options.txCharacteristicUuid] - UUID of the
+   *                                                 characteristic notifying
+   *                                                 the app
+   * @param {number} [options.replyTimeout=2000] - Time to wait for the app
+   *                                               reply in milliseconds
+   * @param {number} [options.progressStep=100] - Amount poured between
+   *                                              progress frames
+   * @param {number} [options.progressInterval=50] - Time between progress
+   *                                                 frames in milliseconds
+   */
+  constructor({name = 'Virtual Tap', deviceId = '0000000000000001',
+    secret = null, protocolVersion = 1, serviceUuid = VirtualTap.SERVICE_UUID,
+    rxCharacteristicUuid = VirtualTap.RX_CHARACTERISTIC_UUID,
+    txCharacteristicUuid = VirtualTap.TX_CHARACTERISTIC_UUID,
+    replyTimeout = 2000, progressStep = 100, progressInterval = 50} = {}) {
+    super();
+    this.deviceId = deviceId;
+    this._secret = secret;
+    this._protocolVersion = protocolVersion;
+    this._link = new TapLink();
+    this._replyTimeout = replyTimeout;
+    this._progressStep = progressStep;
+    this._progressInterval = progressInterval;
+    this._waiting = []; // Pending waits for the app replies.
+    this._stream = null; // Byte stream used instead of the fake device.
+
+    this._receiver = new TapFrameReceiver((frame) => this._receive(frame));
+
+    this._rxCharacteristic = new FakeBluetooth.Characteristic(
+        rxCharacteristicUuid, {write: true, writeWithoutResponse: true},
+        (bytes) => this._receiver.push(bytes));
+
+    this._txCharacteristic = new FakeBluetooth.Characteristic(
+        txCharacteristicUuid, {notify: true});
+    this._txCharacteristic.addEventListener('notificationsstarted',
+        () => setTimeout(() => this.handshake().catch(() => {})));
+
+    this.device = new FakeBluetooth.Device(name, [
+      new FakeBluetooth.Service(serviceUuid,
+          [this._rxCharacteristic, this._txCharacteristic]),
+    ]);
+  }
+
+  /**
+   * Introduce the tap with command 21.
+   * @return {Promise<number>} Promise which will be fulfilled with the reply
+   */
+  handshake() {
+    this._link.reset();
+
+    return this._request(new TapFrame(TapFrame.HANDSHAKE, 0, {
+      direction: TapFrame.DEVICE,
+      longId: this.deviceId,
+    })).then((reply) => {
+      const version = Math.min(this._protocolVersion, reply.spare[0]);
+
+      if (reply.value && version > 1) {
+        this._notify(new TapFrame(TapLink.VERSION, version,
+            {direction: TapFrame.DEVICE}));
+        this._link.setVersion(version);
+      }
+
+      this.emit('handshake', reply.value);
+      return reply.value;
+    });
+  }
+
+  /**
+   * Get protocol version used.
+   * @return {number} 1 or 2
+   */
+  getProtocolVersion() {
+    return this._link.getVersion();
+  }
+
+  /**
+   * Play scenario.
+   * @param {(string|Array<Object>)} scenario - Steps or scenario text, see
+   *                                            `VirtualTap.parseScenario`
+   * @return {Promise<Array<Object>>} Promise which will be fulfilled with
+   *                                  the step results
+   */
+  run(scenario) {
+    const steps = typeof scenario === 'string' ?
+      VirtualTap.parseScenario(scenario) : scenario;
+    const results = [];
+
+    return steps.reduce((promise, step) => promise.
+        then(() => this._runStep(step)).
+        then((result) => {
+          results.push(result);
+          this.emit('step', result);
+        }), Promise.resolve()).
+        then(() => results);
+  }
+
+  /**
+   * Speak over a byte stream instead of the fake Bluetooth device, a
+   * WebSocket of the mock server for example, and introduce the tap.
+   * @param {function(Uint8Array)} write - Writes bytes to the app
+   * @param {Function} [close] - Closes the stream when the scenario
+   *                             disconnects
+   * @return {function((ArrayBuffer|Uint8Array))} Function to pass bytes
+   *                                              written by the app to
+   */
+  attachStream(write, close = () => {}) {
+    this._stream = {write, close};
+    this._receiver.reset();
+    setTimeout(() => this.handshake().catch(() => {}));
+
+    return (bytes) => this._receiver.push(bytes);
+  }
+
+  /**
+   * Stop speaking over the stream, when it is closed by the app.
+   */
+  detachStream() {
+    this._stream = null;
+    this._receiver.reset();
+  }
+
+  /**
+   * Drop the connection from the tap side.
+   */
+  disconnect() {
+    const stream = this._stream;
+
+    this._receiver.reset();
+
+    if (stream) {
+      this.detachStream();
+      stream.close();
+    } else {
+      this.device.disconnect();
+    }
+  }
+
+  /**
+   * Send frame to the app.
+   * @param {number} command
+   * @param {number} [value=0]
+   * @return {boolean} True if the app is subscribed to notifications
+   */
+  send(command, value = 0) {
+    return this._notify(new TapFrame(command, value,
+        {direction: TapFrame.DEVICE}));
+  }
+
+  /**
+   * Parse scenario text, clauses are separated with commas, semicolons or
+   * new lines:
+   *
+   * - `card 1234 pours 330 ml` pours and finishes with command 51;
+   * - `card 1234 pours 330 ml finish 35` finishes with 35 instead;
+   * - `then flow sensor timeout 34` finishes the previous pour with 34;
+   * - `card 1234` only asks for the authorization;
+   * - `disconnect` drops the connection;
+   * - `wait 500 ms` pauses the scenario;
+   * - `handshake` repeats command 21.
+   *
+   * @param {string} text
+   * @return {Array<Object>} Steps
+   */
+  static parseScenario(text) {
+    const steps = [];
+
+    text.split(/[,;\n]/).map((clause) => clause.trim().toLowerCase()).
+        filter(Boolean).
+        forEach((clause) => {
+          const card = clause.match(/card\s+(\d+)/);
+          const pour = clause.match(/pours?\s+(\d+)\s*(ml)?/);
+          const finish =
+            clause.match(/\b(?:then|finish)\b.*\b(3[2-5]|51)\s*$/);
+          const wait = clause.match(/wait\s+(\d+)\s*(ms)?/);
+
+          if (card) {
+            steps.push({
+              card: Number(card[1]),
+              pour: pour ? Number(pour[1]) : null,
+              finish: finish ? Number(finish[1]) : 51,
+            });
+          } else if (finish && steps.length && steps[steps.length - 1].card) {
+            steps[steps.length - 1].finish = Number(finish[1]);
+          } else if (wait) {
+            steps.push({wait: Number(wait[1])});
+          } else if (/disconnect/.test(clause)) {
+            steps.push({disconnect: true});
+          } else if (/handshake/.test(clause)) {
+            steps.push({handshake: true});
+          } else {
+            throw new Error('Unknown scenario clause "' + clause + '"');
+          }
+        });
+
+    return steps;
+  }
+
+  /**
+   * Run scenario step.
+   * @param {Object} step
+   * @return {Promise<Object>}
+   * @private
+   */
+  _runStep(step) {
+    if (step.disconnect) {
+      this.disconnect();
+      return Promise.resolve({disconnect: true});
+    }
+
+    if (step.wait) {
+      return VirtualTap._delay(step.wait).then(() => ({wait: step.wait}));
+    }
+
+    if (step.handshake) {
+      return this.handshake().then((reply) => ({handshake: reply}));
+    }
+
+    return this._pour(step);
+  }
+
+  /**
+   * Authorize card, ask for the configuration and pour.
+   * @param {Object} step
+   * @return {Promise<Object>}
+   * @private
+   */
+  _pour({card, pour = null, finish = 51}) {
+    const result = {card, allowed: false, config: {}, poured: 0, finish: null};
+
+    return this._request(new TapFrame(31, card, {direction: TapFrame.DEVICE})).
+        then((reply) => {
+          result.allowed = reply.value === 1;
+
+          if (!result.allowed || pour === null) {
+            return result;
+          }
+
+          return VirtualTap.CONFIG_COMMANDS.reduce((promise, command) =>
+            promise.
+                then(() => this._request(new TapFrame(command, 0,
+                    {direction: TapFrame.DEVICE}))).
+                then((reply) => result.config[command] = reply.value),
+          Promise.resolve()).
+              then(() => this._progress(Math.min(pour, result.config[42]),
+                  result)).
+              then(() => {
+                result.finish = finish;
+                this.send(finish, result.poured);
+                return result;
+              });
+        });
+  }
+
+  /**
+   * Send progress frames until the amount is poured.
+   * @param {number} amount
+   * @param {Object} result
+   * @return {Promise}
+   * @private
+   */
+  _progress(amount, result) {
+    if (result.poured >= amount) {
+      return Promise.resolve();
+    }
+
+    result.poured = Math.min(amount, result.poured + this._progressStep);
+    this.send(36, result.poured);
+
+    return VirtualTap._delay(this._progressInterval).
+        then(() => this._progress(amount, result));
+  }
+
+  /**
+   * Send frame and wait for the app reply with the same command.
+   * @param {TapFrame} frame
+   * @return {Promise<TapFrame>}
+   * @private
+   */
+  _request(frame) {
+    const reply = new Promise((resolve, reject) => {
+      const wait = {command: frame.command, resolve};
+
+      wait.timer = setTimeout(() => {
+        this._waiting.splice(this._waiting.indexOf(wait), 1);
+        reject(new Error('No reply to command ' + frame.command));
+      }, this._replyTimeout);
+
+      this._waiting.push(wait);
+    });
+
+    this._notify(frame);
+
+    return reply;
+  }
+
+  /**
+   * Notify the app.
+   * @param {TapFrame} frame
+   * @return {boolean}
+   * @private
+   */
+  _notify(frame) {
+    return this._write(this._link.wrap(frame).encode());
+  }
+
+  /**
+   * Write bytes to the stream or notify them with the TX characteristic.
+   * @param {Uint8Array} bytes
+   * @return {boolean} True if the app gets them
+   * @private
+   */
+  _write(bytes) {
+    if (this._stream) {
+      this._stream.write(bytes);
+      return true;
+    }
+
+    return this._txCharacteristic.notify(bytes);
+  }
+
+  /**
+   * Handle frame written by the app.
+   * @param {TapFrame} frame
+   * @private
+   */
+  _receive(frame) {
+    this.emit('frame', frame);
+
+    if (this._link.check(frame) !== TapLink.OK) {
+      this._requestRetransmit();
+      return;
+    }
+
+    if (frame.command === TapLink.RETRANSMIT) {
+      (this._link.getSent(frame.value) || []).forEach((sent) =>
+        this._write(sent.encode()));
+      return;
+    }
+
+    if (frame.command === TapFrame.CHALLENGE && this._secret) {
+      this._answerChallenge(frame);
+    }
+
+    const wait = this._waiting.find((wait) => wait.command === frame.command);
+
+    if (wait) {
+      clearTimeout(wait.timer);
+      this._waiting.splice(this._waiting.indexOf(wait), 1);
+      wait.resolve(frame);
+    }
+  }
+
+  /**
+   * Ask the app to retransmit frames from the expected one.
+   * @private
+   */
+  _requestRetransmit() {
+    const sequence = this._link.takeRetransmitRequest();
+
+    if (sequence !== null) {
+      this._notify(new TapFrame(TapLink.RETRANSMIT, sequence,
+          {direction: TapFrame.DEVICE}));
+    }
+  }
+
+  /**
+   * Answer the challenge with the signature of the nonce and the nonce, the
+   * app is left without the answer if signing fails.
+   * @param {TapFrame} frame
+   * @private
+   */
+  _answerChallenge(frame) {
+    TapRegistry.sign(this._secret, frame.spare).
+        then((signature) => this._notify(new TapFrame(TapFrame.CHALLENGE,
+            signature, {direction: TapFrame.DEVICE, spare: frame.spare}))).
+        catch((error) => this.emit('challengeError', error));
+  }
+
+  /**
+   * Delay.
+   * @param {number} time
+   * @return {Promise}
+   * @private
+   */
+  static _delay(time) {
+    return new Promise((resolve) => setTimeout(resolve, time));
+  }
+}
+
+VirtualTap.SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+VirtualTap.RX_CHARACTERISTIC_UUID = '6e400002-b5a3-f393-e0a9-e50e24dcca9e';
+VirtualTap.TX_CHARACTERISTIC_UUID = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+VirtualTap.CONFIG_COMMANDS = [41, 42, 43, 44];
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = VirtualTap;
+}
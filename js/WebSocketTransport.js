@@ -0,0 +1,203 @@
+/* eslint-env browser, node */
+
+// Resolve dependencies when required as a module, they are globals otherwise.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  global.Transport = require('./Transport');
+}
+
+/**
+ * WebSocket bridge transport: bytes of the tap UART travel as binary
+ * messages, text messages are taken as UTF-8 bytes. The device is the bridge
+ * URL, e.g. `ws://localhost:5000/tap` of the mock server.
+ */
+class WebSocketTransport extends Transport {
+  /**
+   * Create transport.
+   * @param {?string} [url=null] - Bridge URL, it has to be given to
+   *                               `connect` if null
+   * @param {Function} [WebSocketClass] - WebSocket implementation, the
+   *                                     global one or the `ws` package
+   *                                     where there is no global one
+   */
+  constructor(url = null,
+      WebSocketClass = WebSocketTransport._getWebSocketClass()) {
+    super();
+
+    this._url = url;
+    this._WebSocket = WebSocketClass;
+    this._socket = null; // Open or opening socket.
+  }
+
+  /**
+   * Get transport type to show.
+   * @return {string}
+   */
+  getType() {
+    return 'WebSocket';
+  }
+
+  /**
+   * Open socket to the given bridge URL or the used one.
+   * @param {string} [url] - Bridge URL
+   * @return {Promise} Promise which will be fulfilled when the socket will be
+   *                   open or rejected if something went wrong
+   */
+  connect(url = null) {
+    const bridgeUrl = url || this._url;
+
+    if (!bridgeUrl) {
+      return Promise.reject(new Error('Bridge URL must be set'));
+    }
+
+    if (!WebSocketTransport._parseUrl(bridgeUrl)) {
+      return Promise.reject(new Error('Bridge URL ' + bridgeUrl +
+        ' must be a valid ws: or wss: URL'));
+    }
+
+    if (bridgeUrl !== this._url) {
+      this.disconnect();
+      this._url = bridgeUrl;
+    }
+
+    if (this.isConnected()) {
+      return Promise.resolve();
+    }
+
+    this._log('Connecting to ' + this._url + '...');
+
+    return new Promise((resolve, reject) => {
+      const socket = new this._WebSocket(this._url);
+      let opened = false;
+
+      socket.binaryType = 'arraybuffer';
+      this._socket = socket;
+
+      socket.onopen = () => {
+        opened = true;
+        this._log(this._url + ' connected');
+        resolve();
+      };
+
+      socket.onmessage = (event) => this.emit('data',
+        typeof event.data === 'string' ?
+          new TextEncoder().encode(event.data) : new Uint8Array(event.data));
+
+      // Errors carry no details, closing follows them.
+      socket.onerror = () => {};
+
+      socket.onclose = () => {
+        if (!opened) {
+          reject(new Error('Connection to ' + socket.url + ' failed'));
+        }
+
+        // Skip if closed on purpose.
+        if (this._socket !== socket) {
+          return;
+        }
+
+        this._socket = null;
+
+        if (opened) {
+          this._log(this._url + ' disconnected');
+          this.emit('connectionLost');
+        }
+      };
+    });
+  }
+
+  /**
+   * Close socket and drop the URL.
+   */
+  disconnect() {
+    const socket = this._socket;
+
+    this._socket = null;
+    this._url = null;
+
+    if (socket) {
+      socket.close();
+      this._log('Socket closed');
+    }
+  }
+
+  /**
+   * Check if the socket is open.
+   * @return {boolean}
+   */
+  isConnected() {
+    return Boolean(this._socket) &&
+      this._socket.readyState === WebSocketTransport.OPEN;
+  }
+
+  /**
+   * Send bytes as a binary message.
+   * @param {Uint8Array} bytes
+   * @return {Promise}
+   */
+  write(bytes) {
+    if (!this.isConnected()) {
+      return Promise.reject(new Error('There is no connected device'));
+    }
+
+    this._socket.send(bytes);
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the bridge URL used, connected or not.
+   * @return {?string} URL or null if there is no URL set
+   */
+  getDevice() {
+    return this._url;
+  }
+
+  /**
+   * Get the bridge host to show.
+   * @return {string} Host, the URL itself if it is not valid or empty string
+   *                  if there is no URL set
+   */
+  getDeviceName() {
+    const url = this._url && WebSocketTransport._parseUrl(this._url);
+
+    return url ? url.host : this._url || '';
+  }
+
+  /**
+   * Get the global WebSocket, or the `ws` package in Node.js before 22
+   * which has no global one.
+   * @return {Function}
+   * @private
+   */
+  static _getWebSocketClass() {
+    return typeof WebSocket !== 'undefined' ? WebSocket : require('ws');
+  }
+
+  /**
+   * Parse bridge URL.
+   * @param {string} url
+   * @return {?URL} URL or null if it is not a valid WebSocket URL
+   * @private
+   */
+  static _parseUrl(url) {
+    let parsed;
+
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    return ['ws:', 'wss:'].includes(parsed.protocol) ? parsed : null;
+  }
+}
+
+// Ready state of the open socket.
+WebSocketTransport.OPEN = 1;
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = WebSocketTransport;
+}
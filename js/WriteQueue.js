@@ -0,0 +1,188 @@
+/* eslint-env browser, node */
+
+/**
+ * Queue writing to the transport one value at a time, since GATT does not
+ * allow overlapping operations. Every write has a timeout and is retried a
+ * bounded number of times, the next write waits for the transport write to
+ * settle even if it has timed out.
+ */
+class WriteQueue {
+  /**
+   * Create queue.
+   * @param {function(): ?Transport} getTransport - Returns transport to write
+   *                                               to, or null if there is
+   *                                               no connection
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout=2000] - Time to wait for every write
+   *                                          in milliseconds
+   * @param {number} [options.retries=2] - Retries of the failed write
+   * @param {number} [options.retryDelay=100] - Delay before retry in
+   *                                            milliseconds
+   */
+  constructor(getTransport, options = {}) {
+    this._getTransport = getTransport;
+    this._options = {
+      timeout: 2000,
+      retries: 2,
+      retryDelay: 100,
+    };
+    this._queue = []; // Writes waiting for their turn.
+    this._writing = false;
+
+    this.setOptions(options);
+  }
+
+  /**
+   * Set options, see the constructor.
+   * @param {Object} options - Options to change
+   */
+  setOptions(options) {
+    Object.keys(options).forEach((option) => {
+      if (!(option in this._options)) {
+        throw new Error('Unknown write option ' + option);
+      }
+
+      if (!Number.isFinite(options[option]) || options[option] < 0) {
+        throw new Error('Write option ' + option +
+          ' must be a non-negative number');
+      }
+    });
+
+    Object.assign(this._options, options);
+  }
+
+  /**
+   * Number of writes waiting for their turn.
+   * @return {number}
+   */
+  get length() {
+    return this._queue.length;
+  }
+
+  /**
+   * Add value to the queue.
+   * @param {Uint8Array} value - Bytes to write
+   * @return {Promise} Promise which will be fulfilled when the value will be
+   *                   written or rejected if all attempts failed
+   */
+  push(value) {
+    return this.pushAll([value]);
+  }
+
+  /**
+   * Add values to the queue to be written one after another with nothing in
+   * between, e.g. chunks of a frame. Values after the failed one are not
+   * written.
+   * @param {Array<Uint8Array>} values - Bytes to write
+   * @return {Promise} Promise which will be fulfilled when all values will be
+   *                   written or rejected with the first failure
+   */
+  pushAll(values) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({values, resolve, reject});
+      this._next();
+    });
+  }
+
+  /**
+   * Reject all waiting writes, the current one is finished as is.
+   * @param {Error} error
+   */
+  clear(error) {
+    this._queue.splice(0).forEach((write) => write.reject(error));
+  }
+
+  /**
+   * Start the next write if nothing is being written.
+   * @private
+   */
+  _next() {
+    if (this._writing || !this._queue.length) {
+      return;
+    }
+
+    const write = this._queue.shift();
+    this._writing = true;
+
+    this._writeValues(write, 0).then(() => {
+      this._writing = false;
+      this._next();
+    });
+  }
+
+  /**
+   * Write values of the queued write starting from the index.
+   * @param {Object} write - Queued write
+   * @param {number} index - Index of the value to write
+   * @return {Promise} Promise which will be fulfilled when the transport is
+   *                   free for the next write
+   * @private
+   */
+  _writeValues(write, index) {
+    if (index >= write.values.length) {
+      write.resolve();
+      return Promise.resolve();
+    }
+
+    return this._attempt(write.values[index], 0, write.reject).
+        then((written) => written ? this._writeValues(write, index + 1) :
+          undefined);
+  }
+
+  /**
+   * Write value, retrying on failure. The write timed out is failed at once,
+   * but it is waited for to settle before the transport is free, and it is
+   * not retried since it may have been delivered.
+   * @param {Uint8Array} value
+   * @param {number} retry - Retry number, 0 for the first attempt
+   * @param {function(Error)} fail - Called with the error if the value is not
+   *                                 written
+   * @return {Promise<boolean>} Promise which will be fulfilled with true if
+   *                            the value is written when the transport is
+   *                            free for the next write
+   * @private
+   */
+  _attempt(value, retry, fail) {
+    const transport = this._getTransport();
+
+    if (!transport) {
+      fail(new Error('There is no connected device'));
+      return Promise.resolve(false);
+    }
+
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      fail(new Error('Write timed out after ' + this._options.timeout +
+        ' ms'));
+    }, this._options.timeout);
+
+    return new Promise((resolve) => resolve(transport.write(value))).
+        then(() => {
+          clearTimeout(timer);
+          return !timedOut;
+        }, (error) => {
+          clearTimeout(timer);
+
+          if (timedOut) {
+            return false;
+          }
+
+          if (retry >= this._options.retries) {
+            fail(error);
+            return false;
+          }
+
+          return new Promise((resolve) => setTimeout(resolve,
+              this._options.retryDelay)).
+              then(() => this._attempt(value, retry + 1, fail));
+        });
+  }
+}
+
+// Export class as a module to support requiring.
+/* istanbul ignore next */
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = WriteQueue;
+}
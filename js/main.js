@@ -1,18 +1,74 @@
 // UI elements.
 const deviceNameLabel = document.getElementById('device-name');
-const connectButton = document.getElementById('connect');
-const disconnectButton = document.getElementById('disconnect');
-//const sendDataButton = document.getElementById('sendData');
-const startPourButton = document.getElementById('startpour');
-const tapStopButton = document.getElementById('tapclosed');
+const connectionStateLabel = document.getElementById('connection-state');
+const addTapButton = document.getElementById('add-tap');
+const cardsButton = document.getElementById('cards-toggle');
+
+const cardsPanel = document.getElementById('cards');
+const cardForm = document.getElementById('card-form');
+const cardNumberField = document.getElementById('card-number');
+const cardHolderField = document.getElementById('card-holder');
+const cardAllowedField = document.getElementById('card-allowed');
+const cardList = document.getElementById('card-list');
+const topUpForm = document.getElementById('top-up-form');
+const topUpCardNumberField = document.getElementById('top-up-card-number');
+const topUpAmountField = document.getElementById('top-up-amount');
+const ledgerAuditList = document.getElementById('ledger-audit');
+
+const tapConfigButton = document.getElementById('tap-config-toggle');
+const tapConfigPanel = document.getElementById('tap-config');
+const tapConfigForm = document.getElementById('tap-config-form');
+const tapConfigDeviceIdField = document.getElementById('tap-config-device-id');
+const tapConfigSideField = document.getElementById('tap-config-side');
+const tapConfigVolumeLimitField =
+    document.getElementById('tap-config-volume-limit');
+const tapConfigPriceField = document.getElementById('tap-config-price');
+const tapConfigBalanceField = document.getElementById('tap-config-balance');
+const tapConfigProductField = document.getElementById('tap-config-product');
+const tapConfigSecretField = document.getElementById('tap-config-secret');
+const tapConfigKnownField = document.getElementById('tap-config-known');
+const tapConfigList = document.getElementById('tap-config-list');
+
+const productsButton = document.getElementById('products-toggle');
+const productsPanel = document.getElementById('products');
+const productForm = document.getElementById('product-form');
+const productIdField = document.getElementById('product-id');
+const productNameField = document.getElementById('product-name');
+const productStyleField = document.getElementById('product-style');
+const productImageField = document.getElementById('product-image');
+const productPriceField = document.getElementById('product-price');
+const productKegSizeField = document.getElementById('product-keg-size');
+const productList = document.getElementById('product-list');
+
+const explorerButton = document.getElementById('explorer-toggle');
+const explorerPanel = document.getElementById('explorer');
+const explorerList = document.getElementById('explorer-list');
+
+const recorderButton = document.getElementById('recorder-toggle');
+const recorderPanel = document.getElementById('recorder');
+const exportJsonButton = document.getElementById('export-json');
+const exportCsvButton = document.getElementById('export-csv');
+const clearRecordingButton = document.getElementById('clear-recording');
+const replayFileField = document.getElementById('replay-file');
+const replaySourceField = document.getElementById('replay-source');
+const replayStepButton = document.getElementById('replay-step');
+const replayPlayButton = document.getElementById('replay-play');
+const replayStopButton = document.getElementById('replay-stop');
+const recorderStateLabel = document.getElementById('recorder-state');
+
+const diagnosticsButton = document.getElementById('diagnostics-toggle');
+const diagnosticsPanel = document.getElementById('diagnostics');
+
+const tapsContainer = document.getElementById('taps');
+const tapTemplate = document.getElementById('tap-template');
 
 const terminalContainer = document.getElementById('terminal');
 const sendForm = document.getElementById('send-form');
 const inputField = document.getElementById('input');
+const hexModeField = document.getElementById('hex-mode');
 
 // Helpers.
 const defaultDeviceName = 'Terminal';
-const terminalAutoScrollingLimit = terminalContainer.offsetHeight / 2;
 let isTerminalAutoScrolling = true;
 
 const scrollElement = (element) => {
@@ -23,69 +79,603 @@ const scrollElement = (element) => {
   }
 };
 
+// Messages carry data from the taps, so they are set as text.
 const logToTerminal = (message, type = '') => {
-  terminalContainer.insertAdjacentHTML('beforeend',
-      `<div${type && ` class="${type}"`}>${message}</div>`);
+  const element = document.createElement('div');
+
+  element.textContent = message;
+
+  if (type) {
+    element.className = type;
+  }
+
+  terminalContainer.appendChild(element);
 
   if (isTerminalAutoScrolling) {
     scrollElement(terminalContainer);
   }
 };
 
-// Obtain configured instance.
-const terminal = new BluetoothTerminal('6e400001-b5a3-f393-e0a9-e50e24dcca9e','6e400002-b5a3-f393-e0a9-e50e24dcca9e');
+const queryParameters = new URLSearchParams(location.search);
+
+// Replace Web Bluetooth with two virtual taps playing the scenario passed as
+// `simulate` query parameter, e.g. `?simulate=card 1234 pours 330 ml`.
+const simulatedScenario = queryParameters.get('simulate');
+
+// Accept taps registered in this browser only, virtual taps are registered
+// with random secrets until the page is closed.
+const tapRegistry = new TapRegistry(simulatedScenario !== null ?
+  sessionStorage : localStorage);
+
+if (simulatedScenario !== null) {
+  const fakeBluetooth = new FakeBluetooth();
+
+  ['0000000000000001', '0000000000000002'].forEach((deviceId) => {
+    const secret = TapFrame.formatHex(
+        crypto.getRandomValues(new Uint8Array(16)));
+    const virtualTap = new VirtualTap({
+      name: 'Virtual Tap ' + Number(deviceId),
+      deviceId,
+      secret,
+      protocolVersion: 2,
+    });
+
+    tapRegistry.add(deviceId, {name: virtualTap.device.name, secret});
+
+    // Play the scenario once the first handshake is answered.
+    const play = () => {
+      virtualTap.off('handshake', play);
+      virtualTap.run(simulatedScenario).
+          catch((error) => logToTerminal(error));
+    };
+
+    virtualTap.on('handshake', play);
+    virtualTap.on('step', (result) => logToTerminal(virtualTap.device.name +
+      ' step ' + JSON.stringify(result), 'in'));
+
+    fakeBluetooth.addDevice(virtualTap.device);
+  });
+
+  fakeBluetooth.install(navigator);
+}
+
+// Authorize cards with the backend if its URL is passed as `auth` query
+// parameter, e.g. `?auth=http://localhost:5000/cards`, or with the cards
+// registered in this browser otherwise.
+const authorizationUrl = queryParameters.get('auth');
+const cardRegistry = new IndexedDbCardRegistry();
+const authorizationProvider = authorizationUrl ?
+  new HttpAuthorizationProvider(authorizationUrl) : cardRegistry;
+
+// Answer tap configuration commands with the values configured per tap.
+const tapConfigStore = new TapConfigStore();
+
+// Show what every tap pours and answer the price of its product.
+const productCatalog = new ProductCatalog();
+
+// Track keg levels of the taps and alert at the levels in percent passed as
+// `alerts` query parameter, e.g. `?alerts=25,10`.
+const kegTracker = new KegTracker();
+const kegAlerts = queryParameters.get('alerts');
+
+if (kegAlerts !== null) {
+  try {
+    kegTracker.setOptions({
+      thresholds: kegAlerts.split(/, ?/).filter(Boolean).map(Number),
+    });
+  } catch (error) {
+    logToTerminal(error);
+  }
+}
+
+// Ask the service worker to cache product images to show them offline.
+const cacheProductImages = () => {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  navigator.serviceWorker.ready.
+      then((registration) => registration.active.postMessage({
+        type: ProductCatalog.CACHE_IMAGES,
+        urls: productCatalog.getImageUrls(location.href),
+      })).
+      catch((error) => logToTerminal(error));
+};
+
+// Hold, debit and report customer balances.
+const ledger = new CustomerLedger();
+
+// Record finished pours and post them to the backend if its URL is passed as
+// `transactions` query parameter, e.g.
+// `?transactions=http://localhost:5000/transactions`, they are kept in this
+// browser until then.
+const outbox = new TransactionOutbox(queryParameters.get('transactions'));
+
+// Warn about transactions rejected by the endpoint for good, they are dropped.
+const logRejectedTransactions = (records) => logToTerminal(records.length +
+  ' transaction(s) are rejected and dropped: ' + records.
+    map((record) => record.id + ' ' + record.lastError).join(', '), 'out');
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === TransactionOutbox.REJECTED) {
+      logRejectedTransactions(event.data.records);
+    }
+  });
+}
+
+// Post recorded transactions in the service worker with Background Sync,
+// right from the page if it is unavailable.
+const syncTransactions = () => {
+  const registration = 'serviceWorker' in navigator ?
+    navigator.serviceWorker.getRegistration() : Promise.resolve(null);
+
+  return registration.
+      then((registration) => {
+        if (registration && registration.sync) {
+          return registration.sync.register(TransactionOutbox.SYNC_TAG);
+        }
+
+        return outbox.flush().then((result) => {
+          if (result.rejected) {
+            logRejectedTransactions(result.dropped);
+          }
+
+          if (result.failed) {
+            logToTerminal(result.failed + ' transaction(s) are not posted, ' +
+              'they will be retried on the next load', 'out');
+          }
+        });
+      }).
+      catch((error) => logToTerminal(error));
+};
+
+// Format amount in cents.
+const formatAmount = (amount) => (amount / 100).toFixed(2);
+
+// Format volume in ml as litres.
+const formatVolume = (volume) => (volume / 1000).toFixed(1) + ' l';
+
+// Request access to more services to list them in the explorer if they are
+// passed as `services` query parameter, e.g. `?services=0x180a,0x180f`.
+const optionalServices = (queryParameters.get('services') || '').
+    split(/, ?/).filter(Boolean).
+    map((uuid) => uuid.startsWith('0x') ? parseInt(uuid) : uuid);
+
+// List only devices with the name prefix in the chooser if it is passed as
+// `name` query parameter, e.g. `?name=Tap`.
+const namePrefix = queryParameters.get('name');
+
+// Obtain configured instance for every tap, taps use the Nordic UART service:
+// the app writes to RX characteristic and gets notifications from TX one.
+const tapManager = new TapManager(() => {
+  const terminal = new BluetoothTerminal(
+      '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+      '6e400003-b5a3-f393-e0a9-e50e24dcca9e');
+
+  terminal.setWriteCharacteristicUuid('6e400002-b5a3-f393-e0a9-e50e24dcca9e');
+  terminal.setOptionalServices(optionalServices);
+  terminal.setNamePrefix(namePrefix);
+
+  terminal.setAuthorizationProvider(authorizationProvider);
+  terminal.setConfigStore(tapConfigStore);
+  terminal.setProductCatalog(productCatalog);
+  terminal.setKegTracker(kegTracker);
+  terminal.setLedger(ledger);
+  terminal.setTapRegistry(tapRegistry);
+  terminal.setOutbox(outbox);
+
+  return terminal;
+});
+
+// Create handler of incoming data: tap frames or lines of text from plain
+// UART devices.
+const createProtocol = (name) =>
+  name === 'text' ? new TextLineProtocol() : new TapProtocol();
+
+// Create transport to the tap: Bluetooth configured for every terminal, Web
+// Serial for taps wired over USB-UART or WebSocket bridge.
+const createTransport = (name) => {
+  switch (name) {
+    case 'serial':
+      return new SerialTransport();
+
+    case 'websocket':
+      return new WebSocketTransport();
+
+    default:
+      return null;
+  }
+};
+
+// Check if the browser supports the transport.
+const isTransportSupported = (name) => {
+  switch (name) {
+    case 'serial':
+      return 'serial' in navigator;
+
+    case 'websocket':
+      return typeof WebSocket !== 'undefined';
 
-// Override `receive` method to log incoming data to the terminal.
-terminal.receive = function(data) {
-  logToTerminal(data, 'in');
+    default:
+      return 'bluetooth' in navigator;
+  }
 };
 
-// Override default log method to output messages to the terminal and console.
-terminal._log = function(...messages) {
-  // We can't use `super._log()` here.
-  messages.forEach((message) => {
-    logToTerminal(message);
-    console.log(message); // eslint-disable-line no-console
+// Bridge URL suggested when connecting with WebSocket, pass another one as
+// `bridge` query parameter, e.g. `?bridge=ws://raspberrypi.local:8080`.
+let bridgeUrl = queryParameters.get('bridge') || 'ws://localhost:5000/tap';
+
+// Record traffic of all taps to export it and replay at a desk.
+const recorder = new TrafficRecorder();
+
+// Tap selected to send data from the form and to configure.
+let selectedTap = null;
+
+// Get name of the tap to show.
+const getTapName = (tap) => tap.terminal.getDeviceName() || tap.id;
+
+// Get connection state of the tap to show, with the reconnection attempt.
+const getConnectionStateText = (state, attempt) =>
+  state + (attempt ? ' #' + attempt : '');
+
+const selectTap = (tap) => {
+  selectedTap = tap;
+  deviceNameLabel.textContent = tap ? getTapName(tap) : defaultDeviceName;
+  connectionStateLabel.textContent = tap ?
+    getConnectionStateText(tap.terminal.getConnectionState()) : '';
+
+  Array.from(tapsContainer.children).forEach((panel) => {
+    panel.classList.toggle('selected', Boolean(tap) &&
+      panel.dataset.tapId === tap.id);
   });
 };
 
+const getTapPanel = (tap) =>
+  tapsContainer.querySelector(`[data-tap-id="${tap.id}"]`);
+
+// Card holders by card number, looked up in the registry once per card.
+const cardHolders = new Map();
+
+const renderTaps = () => tapManager.getAll().forEach(renderTapState);
+
+const getCardHolder = (cardNumber) => {
+  if (!cardHolders.has(cardNumber)) {
+    cardHolders.set(cardNumber, '');
+    cardRegistry.get(cardNumber).
+        then((card) => {
+          cardHolders.set(cardNumber, card ? card.holder : '');
+          renderTaps();
+        }).
+        catch((error) => logToTerminal(error));
+  }
+
+  return cardHolders.get(cardNumber);
+};
+
+// Render the tap for the operator: connection, product poured with the keg
+// level, card holder with the balance, volume poured so far with its cost and
+// controls enabled once connected.
+const renderTapState = (tap) => {
+  const panel = getTapPanel(tap);
+  const {terminal} = tap;
+  const session = terminal.getSession();
+  const product = terminal.getProduct();
+  const deviceId = terminal.getDeviceId();
+  const keg = kegTracker.get(deviceId);
+  const isConnected =
+    terminal.getConnectionState() === BluetoothTerminal.CONNECTED;
+
+  if (!panel) {
+    return;
+  }
+
+  panel.classList.toggle('connected', isConnected);
+  panel.classList.toggle('pouring', Boolean(session) &&
+    session.state === TapSession.POURING);
+  panel.classList.toggle('keg-low', kegTracker.isLow(deviceId));
+  panel.classList.toggle('keg-empty', kegTracker.isEmpty(deviceId));
+
+  panel.querySelector('.name').textContent = getTapName(tap);
+  panel.querySelector('.state').textContent = terminal.getConnectionState();
+
+  const productImage = panel.querySelector('.product-image');
+  const image = product ? product.image : '';
+
+  // Keep the image loaded while the pour is rendered.
+  if (productImage.getAttribute('src') !== image) {
+    productImage.src = image;
+  }
+
+  productImage.hidden = !image;
+  panel.querySelector('.product-name').textContent = product ?
+    product.name : 'No product assigned';
+  panel.querySelector('.product-style').textContent = product ?
+    product.style : '';
+  panel.querySelector('.keg').textContent = keg ?
+    'Keg ' + formatVolume(keg.remaining) + ' of ' + formatVolume(keg.size) +
+    ', ' + kegTracker.getPoursLeft(deviceId) + ' pour(s) left' :
+    (deviceId ? 'Keg is not tracked' : '');
+
+  panel.querySelector('.holder').textContent = session ?
+    getCardHolder(session.cardNumber) || 'Card ' + session.cardNumber :
+    'Waiting for a card';
+  panel.querySelector('.balance').textContent = session ? 'Balance ' +
+    formatAmount(ledger.getBalance(session.cardNumber)) : '';
+  panel.querySelector('.volume').textContent =
+    (session ? session.amount : 0) + ' ml';
+  panel.querySelector('.cost').textContent = session ?
+    formatAmount(terminal.getSessionCost(session)) + ' at ' +
+    formatAmount(terminal.getSessionPrice(session)) + ' per litre' : '';
+  panel.querySelector('.session-state').textContent = session ?
+    session.state + (session.state === TapSession.ABORTED ?
+      ' (' + session.reason + ')' : '') : '';
+
+  panel.querySelector('.start-pour').disabled = !isConnected;
+  panel.querySelector('.tap-closed').disabled = !isConnected;
+  panel.querySelector('.change-keg').disabled = !deviceId;
+};
+
+tapManager.on('tapAdded', (tap) => {
+  const panel = tapTemplate.content.firstElementChild.cloneNode(true);
+  const {terminal} = tap;
+
+  // Override `receive` method to log incoming data to the terminal.
+  terminal.receive = function(data) {
+    logToTerminal(getTapName(tap) + ': ' + data, 'in');
+  };
+
+  // Override default log method to output messages to the terminal and
+  // console.
+  terminal._log = function(...messages) {
+    // We can't use `super._log()` here.
+    messages.forEach((message) => {
+      logToTerminal(getTapName(tap) + ': ' + message);
+      console.log(message); // eslint-disable-line no-console
+    });
+  };
+
+  panel.dataset.tapId = tap.id;
+  recorder.attach(terminal, tap.id);
+
+  panel.addEventListener('click', () => selectTap(tap));
+
+  // Offer transports supported only, Bluetooth is used if it is.
+  const transportField = panel.querySelector('.transport');
+
+  Array.from(transportField.options).forEach((option) => {
+    option.disabled = !isTransportSupported(option.value);
+  });
+
+  if (transportField.selectedOptions[0].disabled) {
+    const option = Array.from(transportField.options).
+        find((option) => !option.disabled);
+
+    if (option) {
+      transportField.value = option.value;
+      terminal.setTransport(createTransport(option.value));
+    }
+  }
+
+  panel.querySelector('.connect').addEventListener('click', () => {
+    const state = terminal.getConnectionState();
+    let device = null;
+
+    // Ask for the bridge URL when connecting with WebSocket, the one used
+    // before is suggested.
+    if (terminal.getTransport() instanceof WebSocketTransport &&
+      (state === BluetoothTerminal.DISCONNECTED ||
+        state === BluetoothTerminal.FAILED)) {
+      device = prompt('WebSocket bridge URL',
+          terminal.getDevice() || bridgeUrl);
+
+      if (!device) {
+        return;
+      }
+
+      bridgeUrl = device;
+    }
+
+    tapManager.connect(tap.id, device).
+        then(() => renderTapState(tap)).
+        then(() => selectTap(tap)).
+        catch((error) => logToTerminal(error));
+  });
+
+  panel.querySelector('.disconnect').addEventListener('click', () => {
+    tapManager.disconnect(tap.id);
+    renderTapState(tap);
+  });
+
+  // Track a new keg, the size of the product assigned is suggested.
+  panel.querySelector('.change-keg').addEventListener('click', (event) => {
+    const product = terminal.getProduct();
+
+    event.stopPropagation();
+
+    const size = prompt('Keg size in ml', product ? product.kegSize : '');
+
+    if (!size) {
+      return;
+    }
+
+    try {
+      kegTracker.change(terminal.getDeviceId(), size);
+      logToTerminal(getTapName(tap) + ': keg is changed', 'out');
+    } catch (error) {
+      logToTerminal(error);
+    }
+  });
+
+  panel.querySelector('.forget').addEventListener('click', (event) => {
+    const name = getTapName(tap);
+
+    event.stopPropagation();
+    tapManager.forget(tap.id).
+        then(() => logToTerminal(name + ': device is forgotten')).
+        catch((error) => logToTerminal(error));
+  });
+
+  transportField.addEventListener('change', (event) => {
+    terminal.setTransport(createTransport(event.target.value));
+    renderTapState(tap);
+    logToTerminal(getTapName(tap) + ': ' +
+      event.target.selectedOptions[0].textContent + ' transport selected');
+  });
+
+  panel.querySelector('.protocol').addEventListener('change', (event) => {
+    terminal.setProtocol(createProtocol(event.target.value));
+    logToTerminal(getTapName(tap) + ': ' +
+      event.target.selectedOptions[0].textContent + ' selected');
+  });
+
+  panel.querySelector('.start-pour').addEventListener('click', () => {
+    logToTerminal(getTapName(tap) + ': start pour', 'out');
+    terminal.startPour().catch((error) => logToTerminal(error));
+  });
+
+  panel.querySelector('.tap-closed').addEventListener('click', () => {
+    logToTerminal(getTapName(tap) + ': close tap', 'out');
+    terminal.closeTap().catch((error) => logToTerminal(error));
+  });
+
+  panel.querySelector('.remove').addEventListener('click', (event) => {
+    event.stopPropagation();
+    tapManager.remove(tap.id);
+  });
+
+  tapsContainer.appendChild(panel);
+  renderTapState(tap);
+  selectTap(tap);
+});
+
+tapManager.on('tapRemoved', (tap) => {
+  recorder.detach(tap.terminal);
+  tapsContainer.removeChild(getTapPanel(tap));
+
+  if (selectedTap === tap) {
+    const taps = tapManager.getAll();
+    selectTap(taps.length ? taps[taps.length - 1] : null);
+  }
+});
+
+TapSession.EVENTS.forEach((type) => tapManager.on(type, renderTapState));
+
+// Get name of the tap connected with the long device ID.
+const getDeviceTapName = (deviceId) => {
+  const tap = tapManager.getAll().
+      find((tap) => tap.terminal.getDeviceId() === deviceId);
+
+  return tap ? getTapName(tap) : deviceId;
+};
+
+kegTracker.on('levelChange', renderTaps);
+
+kegTracker.on('kegLow', (deviceId, keg, threshold) => {
+  logToTerminal(getDeviceTapName(deviceId) + ': keg is below ' + threshold +
+    '%, ' + formatVolume(keg.remaining) + ' left', 'out');
+});
+
+kegTracker.on('kegEmpty', (deviceId) => {
+  logToTerminal(getDeviceTapName(deviceId) + ': keg is empty, change it',
+      'out');
+});
+
+tapManager.on('connectionStateChange', (tap, state, attempt) => {
+  renderTapState(tap);
+
+  if (tap === selectedTap) {
+    connectionStateLabel.textContent = getConnectionStateText(state, attempt);
+  }
+
+  if (state === BluetoothTerminal.FAILED) {
+    logToTerminal(getTapName(tap) + ': connection is lost, reconnect the tap',
+        'out');
+  }
+});
+
+tapManager.on('handshake', (tap, deviceId, result) => {
+  // Product and keg of the tap are known once it reports its ID.
+  renderTapState(tap);
+
+  if (result === BluetoothTerminal.TAP_UNKNOWN) {
+    logToTerminal(getTapName(tap) + ': tap ' + deviceId + ' is unknown, ' +
+      'register it in the tap configuration to accept it', 'out');
+  } else if (result === BluetoothTerminal.TAP_NOT_VERIFIED) {
+    logToTerminal(getTapName(tap) + ': tap ' + deviceId + ' has failed ' +
+      'verification, check its secret', 'out');
+  }
+});
+
+tapManager.on('watchdog', (tap, session, reason) => {
+  logToTerminal(getTapName(tap) + ': pour of ' + session.cardNumber + ' ' +
+    (reason === TapSession.POUR_TOO_LONG ? 'takes too long' : 'has stalled') +
+    ' at ' + session.amount + ' ml, the tap is closed, check it', 'out');
+});
+
+tapManager.on('transactionQueued', () => syncTransactions());
+
 // Implement own send function to log outcoming data to the terminal.
 const send = (data) => {
-  terminal.send(data).
+  if (!selectedTap) {
+    logToTerminal('There is no tap selected');
+    return;
+  }
+
+  // Bytes typed in hex are logged as a hex dump once sent.
+  if (hexModeField.checked) {
+    try {
+      selectedTap.terminal.sendBytes(TapFrame.parseHex(data)).
+          catch((error) => logToTerminal(error));
+    } catch (error) {
+      logToTerminal(error);
+    }
+
+    return;
+  }
+
+  selectedTap.terminal.send(data).
       then(() => logToTerminal(data, 'out')).
       catch((error) => logToTerminal(error));
 };
 
-// Bind event listeners to the UI elements.
-connectButton.addEventListener('click', () => {
-  terminal.connect().
-      then(() => {
-        deviceNameLabel.textContent = terminal.getDeviceName() ?
-            terminal.getDeviceName() : defaultDeviceName;
-      });
-});
+// Describe bytes as a frame, or tell why they are not a frame.
+const describeFrame = (bytes, commands) => {
+  try {
+    return TapFrame.decode(bytes).describe(commands);
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Log hex dumps of frames in hex mode.
+const logFrame = (tap, bytes, type) => {
+  if (hexModeField.checked) {
+    logToTerminal(getTapName(tap) + ': ' + TapFrame.formatHex(bytes) +
+      ' | ' + describeFrame(bytes, tap.terminal.getCommands()), type);
+  }
+};
+
+tapManager.on('frameReceived', (tap, bytes) => logFrame(tap, bytes, 'in'));
+tapManager.on('frameSent', (tap, bytes) => logFrame(tap, bytes, 'out'));
 
 // Bind event listeners to the UI elements.
-// sendDataButton.addEventListener('click', () => {
-//   logToTerminal("Send My Data",'out');
-//   terminal.sendNew().
-//       then(() => logToTerminal("MyData", 'out')).
-//       catch((error) => logToTerminal(error));
-// });
+addTapButton.addEventListener('click', () => tapManager.add());
 
-startPourButton.addEventListener('click', () => {
-  logToTerminal("Start Pouring",'out');
-  terminal._startPour();
-});
+// Terminal is kept for diagnostics, the operator works with the taps.
+diagnosticsButton.addEventListener('click', () => {
+  diagnosticsPanel.hidden = !diagnosticsPanel.hidden;
 
-tapStopButton.addEventListener('click', () => {
-  logToTerminal("Tap Stopped",'out');
-  terminal._tapClosed();
+  if (!diagnosticsPanel.hidden) {
+    scrollElement(terminalContainer);
+    inputField.focus();
+  }
 });
 
-disconnectButton.addEventListener('click', () => {
-  terminal.disconnect();
-  deviceNameLabel.textContent = defaultDeviceName;
+hexModeField.addEventListener('change', () => {
+  inputField.placeholder = hexModeField.checked ?
+    '15 00 00 07 D0 00 00 00 00 FE 0A' : 'Type something to send...';
+  inputField.focus();
 });
 
 sendForm.addEventListener('submit', (event) => {
@@ -97,10 +687,491 @@ sendForm.addEventListener('submit', (event) => {
   inputField.focus();
 });
 
+// Render registered cards with buttons to remove them.
+const renderCards = () => {
+  return cardRegistry.getAll().then((cards) => {
+    cardList.innerHTML = '';
+
+    cards.forEach((card) => {
+      const item = document.createElement('li');
+      const removeButton = document.createElement('button');
+
+      item.textContent = card.cardNumber + (card.holder ?
+        ' ' + card.holder : '') + (card.allowed ? '' : ' (denied)') + ', ' +
+        formatAmount(ledger.getAvailable(card.cardNumber));
+
+      removeButton.type = 'button';
+      removeButton.setAttribute('aria-label', 'Remove');
+      removeButton.innerHTML = '<i class="material-icons">delete</i>';
+      removeButton.addEventListener('click', () => {
+        cardRegistry.remove(card.cardNumber).
+            then(() => {
+              cardHolders.delete(card.cardNumber);
+              renderTaps();
+              return renderCards();
+            }).
+            catch((error) => logToTerminal(error));
+      });
+
+      item.appendChild(removeButton);
+      cardList.appendChild(item);
+    });
+  });
+};
+
+// Render the latest ledger changes.
+const renderLedgerAudit = () => {
+  ledgerAuditList.innerHTML = '';
+
+  ledger.getAuditTrail().slice(-20).reverse().forEach((entry) => {
+    const item = document.createElement('li');
+
+    item.textContent = new Date(entry.time).toLocaleString() + ' ' +
+      entry.cardNumber + ' ' + entry.type + ' ' + formatAmount(entry.amount) +
+      ', balance ' + formatAmount(entry.balance) +
+      (entry.note ? ', ' + entry.note : '');
+
+    ledgerAuditList.appendChild(item);
+  });
+};
+
+cardsButton.addEventListener('click', () => {
+  cardsPanel.hidden = !cardsPanel.hidden;
+
+  if (!cardsPanel.hidden) {
+    renderCards().catch((error) => logToTerminal(error));
+    renderLedgerAudit();
+  }
+});
+
+topUpForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  try {
+    ledger.topUp(Number(topUpCardNumberField.value),
+        Number(topUpAmountField.value), 'Top up');
+  } catch (error) {
+    logToTerminal(error);
+    return;
+  }
+
+  topUpForm.reset();
+  renderTaps();
+  renderCards().catch((error) => logToTerminal(error));
+  renderLedgerAudit();
+});
+
+cardForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  cardRegistry.put(cardNumberField.value, cardAllowedField.checked,
+      cardHolderField.value).
+      then(() => {
+        cardHolders.delete(Number(cardNumberField.value));
+        cardForm.reset();
+        renderTaps();
+        return renderCards();
+      }).
+      catch((error) => logToTerminal(error));
+});
+
+// Fill tap configuration form with the configuration of the given tap.
+const editTapConfig = (deviceId) => {
+  const config = tapConfigStore.get(deviceId);
+
+  tapConfigDeviceIdField.value = deviceId || '';
+  tapConfigSideField.value = config.tapSide;
+  tapConfigVolumeLimitField.value = config.volumeLimit;
+  tapConfigPriceField.value = config.price;
+  tapConfigBalanceField.value = config.balance;
+
+  // Products to choose from, the assigned one answers its price instead of
+  // the configured one.
+  const assigned = productCatalog.getAssigned(deviceId);
+
+  tapConfigProductField.innerHTML = '<option value="">No product</option>';
+
+  productCatalog.getAll().forEach((product) => {
+    const option = document.createElement('option');
+
+    option.value = product.id;
+    option.textContent = product.name;
+    tapConfigProductField.appendChild(option);
+  });
+
+  tapConfigProductField.value = assigned ? assigned.id : '';
+
+  // Taps are known unless configured as unknown before.
+  const tap = tapRegistry.get(deviceId);
+
+  tapConfigSecretField.value = tap && tap.secret || '';
+  tapConfigKnownField.checked = Boolean(tap) ||
+    !tapConfigStore.getDeviceIds().includes(deviceId);
+};
+
+// Render configured and registered taps with buttons to edit and remove the
+// configuration.
+const renderTapConfigs = () => {
+  const deviceIds = tapConfigStore.getDeviceIds();
+
+  tapConfigList.innerHTML = '';
+
+  tapRegistry.getDeviceIds().concat(productCatalog.getDeviceIds()).
+      forEach((deviceId) => {
+        if (!deviceIds.includes(deviceId)) {
+          deviceIds.push(deviceId);
+        }
+      });
+
+  deviceIds.sort().forEach((deviceId) => {
+    const config = tapConfigStore.get(deviceId);
+    const tap = tapRegistry.get(deviceId);
+    const product = productCatalog.getAssigned(deviceId);
+    const item = document.createElement('li');
+    const editButton = document.createElement('button');
+    const removeButton = document.createElement('button');
+
+    item.textContent = deviceId + ' ' +
+      (config.tapSide === TapConfigStore.LEFT ? 'left' : 'right') + ', ' +
+      config.volumeLimit + ' ml, ' + (product ? product.name + ' at ' +
+        product.price : config.price) + ' c/l, ' +
+      (tap ? (tap.secret ? 'known, verified with secret' : 'known') :
+        'unknown');
+
+    editButton.type = 'button';
+    editButton.setAttribute('aria-label', 'Edit');
+    editButton.innerHTML = '<i class="material-icons">edit</i>';
+    editButton.addEventListener('click', () => editTapConfig(deviceId));
+
+    removeButton.type = 'button';
+    removeButton.setAttribute('aria-label', 'Remove');
+    removeButton.innerHTML = '<i class="material-icons">delete</i>';
+    removeButton.addEventListener('click', () => {
+      tapConfigStore.remove(deviceId);
+      tapRegistry.remove(deviceId);
+      productCatalog.assign(deviceId, null);
+      renderTapConfigs();
+      renderTaps();
+    });
+
+    item.appendChild(editButton);
+    item.appendChild(removeButton);
+    tapConfigList.appendChild(item);
+  });
+};
+
+tapConfigButton.addEventListener('click', () => {
+  tapConfigPanel.hidden = !tapConfigPanel.hidden;
+
+  if (!tapConfigPanel.hidden) {
+    // Start with the selected tap, if it has reported its ID.
+    editTapConfig(selectedTap && selectedTap.terminal.getDeviceId());
+    renderTapConfigs();
+  }
+});
+
+tapConfigForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  const deviceId = tapConfigDeviceIdField.value.toLowerCase().
+      padStart(16, '0');
+
+  try {
+    tapConfigStore.set(deviceId, {
+      tapSide: tapConfigSideField.value,
+      volumeLimit: tapConfigVolumeLimitField.value,
+      price: tapConfigPriceField.value,
+      balance: tapConfigBalanceField.value,
+    });
+
+    if (tapConfigKnownField.checked) {
+      const tap = tapRegistry.get(deviceId);
+
+      tapRegistry.add(deviceId, {
+        name: tap ? tap.name : '',
+        secret: tapConfigSecretField.value,
+      });
+    } else {
+      tapRegistry.remove(deviceId);
+    }
+
+    productCatalog.assign(deviceId, tapConfigProductField.value || null);
+  } catch (error) {
+    logToTerminal(error);
+    return;
+  }
+
+  renderTapConfigs();
+  renderTaps();
+});
+
+// Fill product form with the given product, empty to add a new one.
+const editProduct = (product) => {
+  productIdField.value = product ? product.id : '';
+  productNameField.value = product ? product.name : '';
+  productStyleField.value = product ? product.style : '';
+  productImageField.value = product ? product.image : '';
+  productPriceField.value = product ? product.price : '';
+  productKegSizeField.value = product ? product.kegSize : '';
+};
+
+// Render products with buttons to edit and remove them.
+const renderProducts = () => {
+  productList.innerHTML = '';
+
+  productCatalog.getAll().forEach((product) => {
+    const item = document.createElement('li');
+    const editButton = document.createElement('button');
+    const removeButton = document.createElement('button');
+
+    item.textContent = product.name + (product.style ? ', ' +
+      product.style : '') + ', ' + product.price + ' c/l, ' +
+      product.kegSize + ' ml keg';
+
+    editButton.type = 'button';
+    editButton.setAttribute('aria-label', 'Edit');
+    editButton.innerHTML = '<i class="material-icons">edit</i>';
+    editButton.addEventListener('click', () => editProduct(product));
+
+    removeButton.type = 'button';
+    removeButton.setAttribute('aria-label', 'Remove');
+    removeButton.innerHTML = '<i class="material-icons">delete</i>';
+    removeButton.addEventListener('click', () => {
+      productCatalog.remove(product.id);
+      renderProducts();
+      renderTaps();
+      cacheProductImages();
+    });
+
+    item.appendChild(editButton);
+    item.appendChild(removeButton);
+    productList.appendChild(item);
+  });
+};
+
+productsButton.addEventListener('click', () => {
+  productsPanel.hidden = !productsPanel.hidden;
+
+  if (!productsPanel.hidden) {
+    editProduct(null);
+    renderProducts();
+  }
+});
+
+productForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  try {
+    productCatalog.put({
+      id: productIdField.value || null,
+      name: productNameField.value,
+      style: productStyleField.value,
+      image: productImageField.value,
+      price: productPriceField.value,
+      kegSize: productKegSizeField.value,
+    });
+  } catch (error) {
+    logToTerminal(error);
+    return;
+  }
+
+  editProduct(null);
+  renderProducts();
+  renderTaps();
+  cacheProductImages();
+});
+
+// Render services and characteristics of the selected tap.
+const renderExplorer = () => {
+  explorerList.innerHTML = '';
+
+  if (!selectedTap) {
+    return Promise.reject(new Error('There is no tap selected'));
+  }
+
+  return selectedTap.terminal.explore().then((services) => {
+    services.forEach((service) => {
+      const serviceItem = document.createElement('li');
+
+      serviceItem.textContent = 'Service ' + service.uuid;
+      explorerList.appendChild(serviceItem);
+
+      service.characteristics.forEach((characteristic) => {
+        const item = document.createElement('li');
+
+        item.className = 'nested';
+        item.textContent = characteristic.uuid + ' [' +
+          characteristic.properties.join(', ') + ']' +
+          (characteristic.use ? ' (' + characteristic.use + ')' : '');
+
+        explorerList.appendChild(item);
+      });
+    });
+  });
+};
+
+explorerButton.addEventListener('click', () => {
+  explorerPanel.hidden = !explorerPanel.hidden;
+
+  if (!explorerPanel.hidden) {
+    renderExplorer().catch((error) => logToTerminal(error));
+  }
+});
+
+// Recording loaded to replay and its replay.
+let recording = [];
+let replay = null;
+
+const renderRecorderState = () => {
+  recorderStateLabel.textContent = recorder.getEntries().length +
+    ' entries recorded' + (replay ? ', replayed ' + replay.getPosition() +
+    ' of ' + replay.getLength() : '');
+};
+
+// Download text as a file.
+const download = (text, type, name) => {
+  const link = document.createElement('a');
+
+  link.href = URL.createObjectURL(new Blob([text], {type}));
+  link.download = name;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(link.href));
+};
+
+// Replay traffic of the selected source into a terminal without device and
+// ledger, so the replay doesn't change balances.
+const createReplay = () => {
+  const terminal = new BluetoothTerminal();
+
+  terminal.setAuthorizationProvider(authorizationProvider);
+  terminal.setConfigStore(tapConfigStore);
+
+  terminal._log = function(...messages) {
+    messages.forEach((message) => logToTerminal('Replay: ' + message));
+  };
+
+  terminal.on('stateChange', (session) => logToTerminal('Replay: session ' +
+    'of ' + session.cardNumber + ' is ' + session.state + ', ' +
+    session.amount + ' ml', 'in'));
+
+  replay = new TrafficReplay(recording.filter((entry) =>
+    entry.source === replaySourceField.value), terminal);
+
+  replay.on('step', (entry) => {
+    logToTerminal('Replay: ' + entry.type + ' ' + entry.data,
+        entry.type === TrafficRecorder.IN ? 'in' : '');
+    renderRecorderState();
+  });
+
+  replay.on('end', () => logToTerminal('Replay: end of the recording'));
+
+  renderRecorderState();
+};
+
+recorderButton.addEventListener('click', () => {
+  recorderPanel.hidden = !recorderPanel.hidden;
+
+  if (!recorderPanel.hidden) {
+    renderRecorderState();
+  }
+});
+
+exportJsonButton.addEventListener('click', () => download(recorder.toJson(),
+    'application/json', 'traffic.json'));
+
+exportCsvButton.addEventListener('click', () => download(recorder.toCsv(),
+    'text/csv', 'traffic.csv'));
+
+clearRecordingButton.addEventListener('click', () => {
+  recorder.clear();
+  renderRecorderState();
+});
+
+replayFileField.addEventListener('change', () => {
+  const file = replayFileField.files[0];
+
+  if (!file) {
+    return;
+  }
+
+  file.text().then((text) => {
+    recording = TrafficRecorder.parse(text);
+    replaySourceField.innerHTML = '';
+
+    Array.from(new Set(recording.map((entry) => entry.source))).
+        forEach((source) => {
+          const option = document.createElement('option');
+
+          option.value = option.textContent = source;
+          replaySourceField.appendChild(option);
+        });
+
+    createReplay();
+  }).
+      catch((error) => logToTerminal(error));
+});
+
+replaySourceField.addEventListener('change', () => {
+  if (replay) {
+    replay.stop();
+  }
+
+  createReplay();
+});
+
+replayStepButton.addEventListener('click', () => {
+  if (!replay) {
+    logToTerminal('Load a recording to replay');
+    return;
+  }
+
+  try {
+    replay.step();
+  } catch (error) {
+    logToTerminal(error);
+  }
+});
+
+replayPlayButton.addEventListener('click', () => {
+  if (!replay) {
+    logToTerminal('Load a recording to replay');
+    return;
+  }
+
+  replay.play().catch((error) => logToTerminal(error));
+});
+
+replayStopButton.addEventListener('click', () => {
+  if (replay) {
+    replay.stop();
+  }
+});
+
+// Reconnect taps permitted before, start with a single tap if there are
+// none, add more with the toolbar button.
+tapManager.restore().
+    then((taps) => {
+      if (!taps.length) {
+        tapManager.add();
+      }
+    }).
+    catch((error) => {
+      logToTerminal(error);
+      tapManager.add();
+    });
+
+// Retry transactions left from the previous visits.
+syncTransactions();
+
+// Cache product images which are not cached yet, failed offline for example.
+cacheProductImages();
+
 // Switch terminal auto scrolling if it scrolls out of bottom.
 terminalContainer.addEventListener('scroll', () => {
+  // Terminal is measured once shown, it is hidden on load.
   const scrollTopOffset = terminalContainer.scrollHeight -
-      terminalContainer.offsetHeight - terminalAutoScrollingLimit;
+      terminalContainer.offsetHeight * 1.5;
 
   isTerminalAutoScrolling = (scrollTopOffset < terminalContainer.scrollTop);
 });
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/* eslint-env node */
+'use strict';
+
+/**
+ * Mock backend standing in for the real one during development:
+ *
+ * `GET /cards/<number>` responds with `{"status": "allowed"}` or
+ * `{"status": "denied"}` from `cards.json`, 404 for unknown cards.
+ *
+ * `POST /transactions` records the pour transaction posted as JSON, 201 for
+ * a new one and 200 for the one with the ID recorded before, so posting it
+ * again is harmless. `GET /transactions` lists them, they are kept in memory.
+ *
+ * `ws://localhost:<port>/tap` is a WebSocket bridge to a virtual tap, every
+ * connection gets its own tap introducing itself with `id` query parameter,
+ * `0000000000000003` by default, and playing `scenario` once it is accepted,
+ * e.g. `/tap?scenario=card 1234 pours 330 ml`.
+ *
+ * Usage: node misc/Mock-Server/server.js [port] [cards.json]
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+
+const bridgeTap = require('./tap-bridge');
+
+const port = Number(process.argv[2]) || 5000;
+const cardsFile = process.argv[3] || path.join(__dirname, 'cards.json');
+
+const cards = JSON.parse(fs.readFileSync(cardsFile, 'utf8'));
+const transactions = new Map();
+
+const respond = (response, status, body) => {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Accept, Content-Type, Idempotency-Key',
+    'Content-Type': 'application/json',
+  });
+  response.end(JSON.stringify(body));
+};
+
+const readJson = (request, callback) => {
+  let body = '';
+
+  request.on('data', (chunk) => body += chunk);
+  request.on('end', () => {
+    try {
+      callback(JSON.parse(body));
+    } catch (error) {
+      callback(null);
+    }
+  });
+};
+
+const recordTransaction = (request, response) => {
+  readJson(request, (transaction) => {
+    const id = request.headers['idempotency-key'] ||
+      (transaction && transaction.id);
+
+    if (!transaction || !id) {
+      respond(response, 400, {error: 'Transaction with ID is expected'});
+      return;
+    }
+
+    if (transactions.has(id)) {
+      respond(response, 200, {status: 'duplicate', id});
+      return;
+    }
+
+    transactions.set(id, transaction);
+    process.stdout.write(`Transaction ${id}: ${transaction.amount} ml\n`);
+    respond(response, 201, {status: 'recorded', id});
+  });
+};
+
+const server = http.createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    respond(response, 204, {});
+    return;
+  }
+
+  const match = request.url.match(/^\/cards\/(\d+)$/);
+
+  if (request.method === 'GET' && match) {
+    const card = cards[match[1]];
+
+    if (!card) {
+      respond(response, 404, {status: 'unknown'});
+      return;
+    }
+
+    respond(response, 200, {status: card.allowed ? 'allowed' : 'denied'});
+    return;
+  }
+
+  if (request.url === '/transactions') {
+    if (request.method === 'POST') {
+      recordTransaction(request, response);
+      return;
+    }
+
+    if (request.method === 'GET') {
+      respond(response, 200, Array.from(transactions.values()));
+      return;
+    }
+  }
+
+  respond(response, 404, {error: 'Not found'});
+});
+
+const bridge = new WebSocket.Server({noServer: true});
+
+bridge.on('connection', (socket, request) => {
+  const query = new URL(request.url, 'http://localhost').searchParams;
+
+  bridgeTap(socket, {
+    tap: {
+      name: 'Bridged Tap',
+      deviceId: query.get('id') || '0000000000000003',
+      protocolVersion: 2,
+    },
+    scenario: query.get('scenario'),
+  }, (line) => process.stdout.write(line + '\n'));
+});
+
+server.on('upgrade', (request, socket, head) => {
+  if (!request.url.startsWith('/tap')) {
+    socket.destroy();
+    return;
+  }
+
+  bridge.handleUpgrade(request, socket, head,
+      (client) => bridge.emit('connection', client, request));
+});
+
+server.listen(port, () => {
+  process.stdout.write(`Mock server is listening on http://localhost:${port}\n`);
+});
@@ -0,0 +1,50 @@
+/* eslint-env node */
+'use strict';
+
+const VirtualTap = require('../../js/VirtualTap');
+
+/**
+ * Bridge the WebSocket to its own virtual tap: bytes travel as binary
+ * messages both ways, the tap introduces itself once connected and plays the
+ * scenario once it is accepted. Used by the mock server and `cli.js simulate`.
+ * @param {WebSocket} socket - Socket of the app connected
+ * @param {Object} options - Options
+ * @param {Object} [options.tap={}] - Options of `VirtualTap`
+ * @param {?string} [options.scenario=null] - Scenario to play, see
+ *                                            `VirtualTap.parseScenario`
+ * @param {function(string)} [log] - Writes a line to the output
+ * @return {VirtualTap}
+ */
+const bridgeTap = (socket, {tap: tapOptions = {}, scenario = null},
+    log = () => {}) => {
+  const tap = new VirtualTap(tapOptions);
+  const receive = tap.attachStream((bytes) => socket.send(bytes),
+      () => socket.close());
+
+  socket.on('message', (data) => receive(new Uint8Array(data)));
+  socket.on('close', () => {
+    tap.detachStream();
+    log(`Tap ${tap.deviceId} is disconnected`);
+  });
+
+  // Play the scenario once the first handshake is answered.
+  const play = (accepted) => {
+    tap.off('handshake', play);
+    log(`Tap ${tap.deviceId} is ` + (accepted ? 'accepted' : 'rejected'));
+
+    if (accepted && scenario) {
+      tap.run(scenario).
+          then((results) => log(`Tap ${tap.deviceId}: ` +
+            JSON.stringify(results))).
+          catch((error) => log(`Tap ${tap.deviceId}: ` + error.message));
+    }
+  };
+
+  tap.on('handshake', play);
+  tap.on('step', (result) => log(`Tap ${tap.deviceId} step ` +
+    JSON.stringify(result)));
+
+  return tap;
+};
+
+module.exports = bridgeTap;
@@ -1,15 +1,97 @@
-importScripts('js/sw-toolbox.js');
+importScripts('js/sw-toolbox.js', 'js/JsonStorageItem.js',
+    'js/ProductCatalog.js', 'js/IndexedDbStore.js', 'js/TransactionOutbox.js');
 
 toolbox.precache([
   'css/normalize.css',
   'css/styles.css',
-  'js/BluetoothConnection.js',
+  'js/BleTransport.js',
+  'js/BluetoothTerminal.js',
+  'js/CardAuthorizationProvider.js',
   'js/companion.js',
+  'js/CustomerLedger.js',
+  'js/EventEmitter.js',
+  'js/FakeBluetooth.js',
+  'js/HttpAuthorizationProvider.js',
+  'js/IndexedDbCardRegistry.js',
+  'js/IndexedDbStore.js',
+  'js/JsonStorageItem.js',
+  'js/KegTracker.js',
   'js/main.js',
+  'js/PourWatchdog.js',
+  'js/ProductCatalog.js',
+  'js/ProtocolHandler.js',
+  'js/SerialTransport.js',
+  'js/TapCommandTable.js',
+  'js/TapConfigStore.js',
+  'js/TapFrame.js',
+  'js/TapFrameReceiver.js',
+  'js/TapLink.js',
+  'js/TapManager.js',
+  'js/TapProtocol.js',
+  'js/TapRegistry.js',
+  'js/TapSession.js',
+  'js/TextLineProtocol.js',
+  'js/TrafficRecorder.js',
+  'js/TrafficReplay.js',
+  'js/TransactionOutbox.js',
+  'js/Transport.js',
+  'js/VirtualTap.js',
+  'js/WebSocketTransport.js',
+  'js/WriteQueue.js',
   'index.html',
 ]);
 
-toolbox.router.default = toolbox.networkFirst;
+// Serve product images cached for the catalog first, so they are shown
+// offline, everything else is network first.
+toolbox.router.default = (request, values, options) =>
+  caches.match(request, {cacheName: ProductCatalog.IMAGE_CACHE}).
+      then((response) => response ||
+        toolbox.networkFirst(request, values, options));
+
 toolbox.options.networkTimeoutSeconds = 5;
 
 toolbox.router.get('icons/*', toolbox.fastest);
+
+// Post transactions recorded by the page, failed ones reject the sync so the
+// browser retries it later, rejected ones are reported to the pages open.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== TransactionOutbox.SYNC_TAG) {
+    return;
+  }
+
+  event.waitUntil(new TransactionOutbox().flush().then((result) =>
+    self.clients.matchAll().then((clients) => {
+      if (result.rejected) {
+        clients.forEach((client) => client.postMessage({
+          type: TransactionOutbox.REJECTED,
+          records: result.dropped,
+        }));
+      }
+
+      if (result.failed) {
+        throw new Error(result.failed + ' transaction(s) are not posted');
+      }
+    })));
+});
+
+// Cache images of the catalog products sent by the page, images of removed
+// products are dropped. Cross-origin images are cached as opaque responses,
+// failed ones are cached when the page sends them again.
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== ProductCatalog.CACHE_IMAGES) {
+    return;
+  }
+
+  const urls = event.data.urls;
+
+  const cacheImage = (cache, url) => cache.match(url).then((response) =>
+    response || fetch(url, {mode: 'no-cors'}).
+        then((response) => cache.put(url, response)).
+        catch(() => {}));
+
+  event.waitUntil(caches.open(ProductCatalog.IMAGE_CACHE).then((cache) =>
+    cache.keys().then((requests) => Promise.all(requests.
+        filter((request) => !urls.includes(request.url)).
+        map((request) => cache.delete(request)).
+        concat(urls.map((url) => cacheImage(cache, url)))))));
+});
@@ -0,0 +1,98 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const BluetoothTerminal = require('../js/BluetoothTerminal');
+const CustomerLedger = require('../js/CustomerLedger');
+const FakeBluetooth = require('../js/FakeBluetooth');
+const MemoryStorage = require('./MemoryStorage');
+const TapRegistry = require('../js/TapRegistry');
+const TapSession = require('../js/TapSession');
+const VirtualTap = require('../js/VirtualTap');
+
+// Web Crypto is not global before Node.js 19.
+global.crypto = global.crypto || require('crypto').webcrypto;
+
+const SECRET = '00112233445566778899aabbccddeeff';
+
+// Connect terminal allowing every card to a new virtual tap, resolve with
+// the reply to the handshake of the tap as well.
+const connectTap = (tapOptions = {}, registry = null) => {
+  global.navigator = {};
+
+  const bluetooth = new FakeBluetooth();
+  const tap = new VirtualTap(Object.assign({deviceId: '00000000000007d0'},
+      tapOptions));
+  const terminal = new BluetoothTerminal(VirtualTap.SERVICE_UUID,
+      VirtualTap.TX_CHARACTERISTIC_UUID);
+
+  bluetooth.install(global.navigator);
+  bluetooth.addDevice(tap.device);
+
+  terminal.setWriteCharacteristicUuid(VirtualTap.RX_CHARACTERISTIC_UUID);
+  terminal.setAuthorizationProvider({
+    authorize: () => Promise.resolve('allowed'),
+  });
+  terminal.setTapRegistry(registry);
+  terminal._log = () => {};
+
+  const handshake = new Promise((resolve) => tap.on('handshake', resolve));
+
+  return terminal.connect().
+      then(() => handshake).
+      then((reply) => ({tap, terminal, reply}));
+};
+
+// Connect virtual tap with the secret to terminal knowing the tap by the
+// registered secret, resolve with the reply to the tap handshake.
+const challengeTap = (secret) => {
+  const registry = new TapRegistry(new MemoryStorage());
+
+  registry.add('00000000000007d0', {secret: SECRET});
+
+  return connectTap({secret}, registry).
+      then(({terminal, reply}) => {
+        terminal.disconnect();
+        return reply;
+      });
+};
+
+describe('BluetoothTerminal', () => {
+  it('denies the pour if the funds can not be held', () => {
+    const storage = new MemoryStorage();
+    const ledger = new CustomerLedger(storage);
+    let aborted = null;
+
+    ledger.topUp(1234, 5000);
+    storage.setItem = () => {
+      throw new Error('Quota exceeded');
+    };
+
+    return connectTap().
+        then(({tap, terminal}) => {
+          terminal.setLedger(ledger);
+          terminal.on('pourAborted', (session) => aborted = session);
+
+          return tap.run('card 1234 pours 330 ml').
+              then((results) => {
+                assert.strictEqual(results[0].allowed, false);
+                assert.strictEqual(results[0].poured, 0);
+                assert.strictEqual(aborted.reason, TapSession.DENIED);
+                assert.strictEqual(ledger.getAvailable(1234), 5000);
+
+                terminal.disconnect();
+              });
+        });
+  });
+
+  it('accepts the tap answering the challenge with the right HMAC', () => {
+    return challengeTap(SECRET).
+        then((reply) => assert.strictEqual(reply, 1));
+  });
+
+  it('rejects the tap answering the challenge with a wrong HMAC', () => {
+    return challengeTap('ffeeddccbbaa99887766554433221100').
+        then((reply) => assert.strictEqual(reply, 0));
+  });
+});
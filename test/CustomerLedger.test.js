@@ -0,0 +1,67 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const CustomerLedger = require('../js/CustomerLedger');
+const MemoryStorage = require('./MemoryStorage');
+
+describe('CustomerLedger', () => {
+  it('holds no more than available', () => {
+    const ledger = new CustomerLedger(new MemoryStorage());
+
+    ledger.topUp(1234, 500);
+
+    assert.strictEqual(ledger.hold(1234, 300, 'a'), 300);
+    assert.strictEqual(ledger.hold(1234, 300, 'b'), 200);
+    assert.strictEqual(ledger.getAvailable(1234), 0);
+    assert.strictEqual(ledger.getBalance(1234), 500);
+    assert.strictEqual(ledger.getHeld(1234, 'b'), 200);
+  });
+
+  it('debits the actual cost replacing the hold', () => {
+    const ledger = new CustomerLedger(new MemoryStorage());
+
+    ledger.topUp(1234, 500);
+    ledger.hold(1234, 300, 'a');
+    ledger.debit(1234, 120, 'a', 'pour');
+
+    assert.strictEqual(ledger.getBalance(1234), 380);
+    assert.strictEqual(ledger.getAvailable(1234), 380);
+    assert.strictEqual(ledger.getHeld(1234, 'a'), 0);
+  });
+
+  it('debits below zero when the tap pours more than held', () => {
+    const ledger = new CustomerLedger(new MemoryStorage());
+
+    ledger.topUp(1234, 100);
+    ledger.hold(1234, 300, 'a');
+    ledger.debit(1234, 150, 'a');
+
+    assert.strictEqual(ledger.getBalance(1234), -50);
+    assert.strictEqual(ledger.getAvailable(1234), 0);
+    assert.strictEqual(ledger.hold(1234, 100, 'b'), 0);
+  });
+
+  it('releases the hold', () => {
+    const ledger = new CustomerLedger(new MemoryStorage());
+
+    ledger.topUp(1234, 500);
+    ledger.hold(1234, 300, 'a');
+    ledger.release(1234, 'a');
+    ledger.release(1234, 'a');
+
+    assert.strictEqual(ledger.getAvailable(1234), 500);
+    assert.deepStrictEqual(ledger.getAuditTrail(1234).
+        map((entry) => [entry.type, entry.amount, entry.balance, entry.held]),
+    [['topUp', 500, 500, 0], ['hold', 300, 500, 300],
+      ['release', 300, 500, 0]]);
+  });
+
+  it('rejects amounts which are not non-negative integers', () => {
+    const ledger = new CustomerLedger(new MemoryStorage());
+
+    assert.throws(() => ledger.hold(1234, -1, 'a'), /non-negative integer/);
+    assert.throws(() => ledger.debit(1234, 1.5, 'a'), /non-negative integer/);
+  });
+});
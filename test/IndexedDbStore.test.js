@@ -0,0 +1,36 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const {IDBFactory} = require('fake-indexeddb');
+
+const IndexedDbStore = require('../js/IndexedDbStore');
+
+describe('IndexedDbStore', () => {
+  const createStore = () => new IndexedDbStore('test', 'records', 'id',
+      new IDBFactory());
+
+  it('resolves with the request result once the transaction completes', () => {
+    const store = createStore();
+
+    return store.request('readwrite', (objectStore) =>
+      objectStore.put({id: 1, name: 'IPA'})).
+        then((key) => {
+          assert.strictEqual(key, 1);
+          return store.request('readonly',
+              (objectStore) => objectStore.get(1));
+        }).
+        then((record) => assert.deepStrictEqual(record, {id: 1, name: 'IPA'}));
+  });
+
+  it('rejects when the transaction is aborted', () => {
+    const store = createStore();
+
+    return assert.rejects(store.request('readwrite', (objectStore) => {
+      const request = objectStore.put({id: 1});
+
+      objectStore.transaction.abort();
+      return request;
+    }), /aborted/i);
+  });
+});
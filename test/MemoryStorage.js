@@ -0,0 +1,41 @@
+/* eslint-env node */
+
+/**
+ * `Storage` keeping items in memory for the stores under test.
+ */
+class MemoryStorage {
+  /**
+   * Create empty storage.
+   */
+  constructor() {
+    this._items = new Map();
+  }
+
+  /**
+   * Get item.
+   * @param {string} key
+   * @return {?string}
+   */
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  /**
+   * Set item.
+   * @param {string} key
+   * @param {string} value
+   */
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  /**
+   * Remove item.
+   * @param {string} key
+   */
+  removeItem(key) {
+    this._items.delete(key);
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,178 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const BluetoothTerminal = require('../js/BluetoothTerminal');
+const FakeBluetooth = require('../js/FakeBluetooth');
+const PourWatchdog = require('../js/PourWatchdog');
+const TapSession = require('../js/TapSession');
+const VirtualTap = require('../js/VirtualTap');
+
+const delay = (time) => new Promise((resolve) => setTimeout(resolve, time));
+
+// Create watchdog closing the session on trigger, like the terminal does.
+const createWatchdog = (options) => {
+  const triggers = [];
+  const watchdog = new PourWatchdog((session, reason) => {
+    triggers.push(reason);
+    session.close(reason);
+  }, Object.assign({startTimeout: 0, maxDuration: 0, maxSilence: 0,
+    closeTimeout: 0}, options));
+
+  return {watchdog, triggers};
+};
+
+const configure = (session) => {
+  session.setAuthorized(true);
+  TapSession.CONFIG_COMMANDS.forEach((command) =>
+    session.configure(command, 0));
+};
+
+const createConfiguredSession = () => {
+  const session = new TapSession(1234);
+
+  configure(session);
+
+  return session;
+};
+
+describe('PourWatchdog', () => {
+  it('gives the customer the start timeout to open the tap', () => {
+    const {watchdog, triggers} = createWatchdog({startTimeout: 60,
+      maxSilence: 20});
+    const session = new TapSession(1234);
+
+    watchdog.watch(session);
+    configure(session);
+
+    return delay(40).
+        then(() => {
+          assert.deepStrictEqual(triggers, []);
+          session.progress(10);
+
+          return delay(10);
+        }).
+        then(() => {
+          session.progress(20);
+
+          return delay(40);
+        }).
+        then(() => {
+          assert.deepStrictEqual(triggers, [TapSession.POUR_STALLED]);
+          assert.strictEqual(session.state, TapSession.CLOSING);
+          assert.strictEqual(session.amount, 20);
+          watchdog.stop();
+        });
+  });
+
+  it('closes the tap which is not opened in time', () => {
+    const {watchdog, triggers} = createWatchdog({startTimeout: 20});
+    const session = new TapSession(1234);
+
+    watchdog.watch(session);
+    configure(session);
+
+    return delay(40).then(() => {
+      assert.deepStrictEqual(triggers, [TapSession.POUR_STALLED]);
+      assert.strictEqual(session.state, TapSession.CLOSING);
+      watchdog.stop();
+    });
+  });
+
+  it('suspends timers while the connection is lost', () => {
+    const {watchdog, triggers} = createWatchdog({maxSilence: 20,
+      maxDuration: 200});
+    const session = createConfiguredSession();
+
+    watchdog.watch(session);
+    session.progress(100);
+    watchdog.suspend();
+
+    return delay(50).
+        then(() => {
+          assert.deepStrictEqual(triggers, []);
+          watchdog.resume();
+          session.progress(150);
+          session.finish(51, 200);
+
+          assert.strictEqual(session.state, TapSession.FINISHED);
+          assert.strictEqual(session.amount, 200);
+        });
+  });
+
+  it('keeps counting the pour duration over the suspension', () => {
+    const {watchdog, triggers} = createWatchdog({maxDuration: 30});
+    const session = createConfiguredSession();
+
+    watchdog.watch(session);
+    session.progress(100);
+    watchdog.suspend();
+
+    return delay(40).
+        then(() => {
+          assert.deepStrictEqual(triggers, []);
+          watchdog.resume();
+
+          return delay(10);
+        }).
+        then(() => {
+          assert.deepStrictEqual(triggers, [TapSession.POUR_TOO_LONG]);
+          watchdog.stop();
+        });
+  });
+
+  it('lets the tap finish the pour after the terminal reconnects', () => {
+    global.navigator = {};
+
+    const bluetooth = new FakeBluetooth();
+    const tap = new VirtualTap({deviceId: '00000000000007d0'});
+    const terminal = new BluetoothTerminal(VirtualTap.SERVICE_UUID,
+        VirtualTap.TX_CHARACTERISTIC_UUID);
+    let handshakes = 0;
+
+    bluetooth.install(global.navigator);
+    bluetooth.addDevice(tap.device);
+
+    terminal.setWriteCharacteristicUuid(VirtualTap.RX_CHARACTERISTIC_UUID);
+    terminal.setReconnectionOptions({initialDelay: 60});
+    terminal.setWatchdogOptions({maxSilence: 20, closeTimeout: 20});
+    terminal.setAuthorizationProvider({
+      authorize: () => Promise.resolve('allowed'),
+    });
+    terminal._log = () => {};
+
+    const finished = new Promise((resolve, reject) => {
+      terminal.on('pourFinished', resolve);
+      terminal.on('watchdog', (session, reason) =>
+        reject(new Error('Watchdog is triggered with ' + reason)));
+      terminal.on('pourAborted', (session) =>
+        reject(new Error('Pour is aborted with ' + session.reason)));
+    });
+
+    tap.on('handshake', () => {
+      handshakes++;
+
+      if (handshakes === 1) {
+        tap.run('card 1234').then(() => {
+          [41, 42, 43, 44].forEach((command) => tap.send(command));
+          tap.send(36, 100);
+          setTimeout(() => tap.disconnect(), 10);
+        });
+      } else {
+        tap.send(36, 200);
+        tap.send(51, 250);
+      }
+    });
+
+    terminal.connect();
+
+    return finished.then((session) => {
+      assert.strictEqual(session.state, TapSession.FINISHED);
+      assert.strictEqual(session.amount, 250);
+      assert.strictEqual(handshakes, 2);
+
+      terminal.disconnect();
+    });
+  });
+});
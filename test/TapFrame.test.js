@@ -0,0 +1,59 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const TapFrame = require('../js/TapFrame');
+
+describe('TapFrame', () => {
+  it('encodes command, value, spare, direction and terminator', () => {
+    const frame = new TapFrame(42, 2000, {spare: [1, 2, 3, 4]});
+
+    assert.deepStrictEqual(Array.from(frame.encode()),
+        [42, 0, 0, 7, 208, 1, 2, 3, 4, TapFrame.APP, TapFrame.TERMINATOR]);
+  });
+
+  it('decodes encoded frame back', () => {
+    const frame = new TapFrame(36, 0xFFFFFFFF,
+        {direction: TapFrame.DEVICE, spare: [0, 9, 0, 255]});
+    const decoded = TapFrame.decode(frame.encode());
+
+    assert.strictEqual(decoded.command, 36);
+    assert.strictEqual(decoded.value, 0xFFFFFFFF);
+    assert.strictEqual(decoded.direction, TapFrame.DEVICE);
+    assert.deepStrictEqual(decoded.spare, [0, 9, 0, 255]);
+    assert.strictEqual(decoded.longId, null);
+  });
+
+  it('round trips long ID of the handshake sent by the tap', () => {
+    const frame = new TapFrame(TapFrame.HANDSHAKE, 0,
+        {direction: TapFrame.DEVICE, longId: '00000000000007D0'});
+    const decoded = TapFrame.decode(frame.encode());
+
+    assert.strictEqual(decoded.longId, '00000000000007d0');
+    assert.deepStrictEqual(Array.from(decoded.encode()),
+        Array.from(frame.encode()));
+  });
+
+  it('parses and formats hex', () => {
+    const bytes = TapFrame.parseHex('2A 00 00 07 D0 00 00 00 00 FE 0A');
+
+    assert.strictEqual(TapFrame.decode(bytes).value, 2000);
+    assert.strictEqual(TapFrame.formatHex(bytes),
+        '2A 00 00 07 D0 00 00 00 00 FE 0A');
+  });
+
+  it('rejects frames of wrong length, terminator or direction', () => {
+    assert.throws(() => TapFrame.decode([42, 0, 0]), /length/);
+    assert.throws(() => TapFrame.decode([42, 0, 0, 0, 0, 0, 0, 0, 0, 254, 0]),
+        /terminator/);
+    assert.throws(() => TapFrame.decode([42, 0, 0, 0, 0, 0, 0, 0, 0, 1, 10]),
+        /direction/);
+  });
+
+  it('rejects values out of range', () => {
+    assert.throws(() => new TapFrame(256), /Command must be a byte/);
+    assert.throws(() => new TapFrame(42, -1), /32-bit/);
+    assert.throws(() => new TapFrame(42, 0, {spare: [0]}), /4 bytes/);
+  });
+});
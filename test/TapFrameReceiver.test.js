@@ -0,0 +1,87 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const TapFrame = require('../js/TapFrame');
+const TapFrameReceiver = require('../js/TapFrameReceiver');
+
+const frameBytes = (command, value) => Array.from(
+    new TapFrame(command, value, {direction: TapFrame.DEVICE}).encode());
+
+const createReceiver = () => {
+  const frames = [];
+  const dropped = [];
+  const receiver = new TapFrameReceiver(
+      (frame) => frames.push([frame.command, frame.value]),
+      (bytes) => dropped.push(Array.from(bytes)));
+
+  return {receiver, frames, dropped};
+};
+
+describe('TapFrameReceiver', () => {
+  it('reassembles frame split across notifications', () => {
+    const {receiver, frames} = createReceiver();
+    const bytes = frameBytes(36, 150);
+
+    receiver.push(bytes.slice(0, 4));
+    assert.deepStrictEqual(frames, []);
+    assert.deepStrictEqual(Array.from(receiver.pending()), bytes.slice(0, 4));
+
+    receiver.push(bytes.slice(4));
+    assert.deepStrictEqual(frames, [[36, 150]]);
+    assert.strictEqual(receiver.pending().length, 0);
+  });
+
+  it('emits every frame coalesced in one notification', () => {
+    const {receiver, frames} = createReceiver();
+    const bytes = frameBytes(36, 100).concat(frameBytes(36, 200),
+        frameBytes(51, 250).slice(0, 6));
+
+    receiver.push(bytes);
+    assert.deepStrictEqual(frames, [[36, 100], [36, 200]]);
+    assert.strictEqual(receiver.pending().length, 6);
+
+    receiver.push(frameBytes(51, 250).slice(6));
+    assert.deepStrictEqual(frames, [[36, 100], [36, 200], [51, 250]]);
+  });
+
+  it('drops garbage before the frame boundary', () => {
+    const {receiver, frames, dropped} = createReceiver();
+
+    receiver.push([1, 2, 3].concat(frameBytes(31, 1234)));
+    assert.deepStrictEqual(frames, [[31, 1234]]);
+    assert.deepStrictEqual(dropped, [[1, 2, 3]]);
+    assert.strictEqual(receiver.resyncCount, 1);
+  });
+
+  it('drops not completed frame on reset', () => {
+    const {receiver, frames} = createReceiver();
+
+    receiver.push(frameBytes(36, 100).slice(0, 5));
+    receiver.reset();
+    receiver.push(frameBytes(36, 200));
+    assert.deepStrictEqual(frames, [[36, 200]]);
+  });
+
+  it('keeps emitting coalesced frames when the handler throws', () => {
+    const frames = [];
+    const errors = [];
+    const receiver = new TapFrameReceiver((frame) => {
+      if (frame.value === 100) {
+        throw new Error('Handler failed');
+      }
+
+      frames.push([frame.command, frame.value]);
+    }, () => {}, (error, bytes) => errors.push([error.message,
+      Array.from(bytes)]));
+
+    receiver.push(frameBytes(36, 100).concat(frameBytes(36, 200)));
+    assert.deepStrictEqual(frames, [[36, 200]]);
+    assert.deepStrictEqual(errors, [['Handler failed', frameBytes(36, 100)]]);
+    assert.strictEqual(receiver.pending().length, 0);
+
+    receiver.push(frameBytes(36, 300));
+    assert.deepStrictEqual(frames, [[36, 200], [36, 300]]);
+  });
+});
@@ -0,0 +1,95 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const TapFrame = require('../js/TapFrame');
+const TapLink = require('../js/TapLink');
+
+// Create pair of version 2 links, sending from the tap to the app.
+const createLinks = () => {
+  const sender = new TapLink();
+  const receiver = new TapLink();
+
+  sender.setVersion(2);
+  receiver.setVersion(2);
+
+  return {sender, receiver};
+};
+
+const pourFrame = (value) => new TapFrame(36, value,
+    {direction: TapFrame.DEVICE});
+
+describe('TapLink', () => {
+  it('computes CRC-8 with polynomial 0x07', () => {
+    const check = Array.from('123456789', (char) => char.charCodeAt(0));
+
+    assert.strictEqual(TapLink.crc8(check), 0xF4);
+    assert.strictEqual(TapLink.crc8([]), 0);
+    assert.strictEqual(TapLink.crc8([0x80]), 0x89);
+  });
+
+  it('adds sequence number and checksum to version 2 frames', () => {
+    const {sender} = createLinks();
+    const bytes = sender.wrap(pourFrame(150)).encode();
+
+    assert.strictEqual(bytes[5], 0);
+    assert.strictEqual(bytes[8], TapLink.crc8(bytes.subarray(0, 8)));
+    assert.strictEqual(sender.wrap(pourFrame(160)).spare[0], 1);
+    assert.strictEqual(new TapLink().wrap(pourFrame(150)).spare[0], 0);
+  });
+
+  it('wraps the sequence number around after 255', () => {
+    const {sender, receiver} = createLinks();
+
+    for (let i = 0; i < 258; i++) {
+      const frame = sender.wrap(pourFrame(i));
+
+      assert.strictEqual(frame.spare[0], i % 256);
+      assert.strictEqual(receiver.check(frame), TapLink.OK);
+    }
+
+    assert.strictEqual(receiver.getExpected(), 2);
+  });
+
+  it('asks to retransmit from the expected frame after gap', () => {
+    const {sender, receiver} = createLinks();
+    const frames = [0, 1, 2].map((value) => sender.wrap(pourFrame(value)));
+
+    assert.strictEqual(receiver.check(frames[0]), TapLink.OK);
+    assert.strictEqual(receiver.check(frames[2]), TapLink.GAP);
+    assert.strictEqual(receiver.takeRetransmitRequest(), 1);
+    assert.strictEqual(receiver.takeRetransmitRequest(), null);
+
+    const request = receiver.wrap(new TapFrame(TapLink.RETRANSMIT, 1));
+
+    assert.strictEqual(request.command, 24);
+    assert.strictEqual(request.spare[0], 0);
+    assert.strictEqual(sender.check(request), TapLink.OK);
+    assert.deepStrictEqual(sender.getSent(1), frames.slice(1));
+
+    assert.strictEqual(receiver.check(frames[1]), TapLink.OK);
+    assert.strictEqual(receiver.check(frames[2]), TapLink.OK);
+  });
+
+  it('drops duplicates and corrupted frames', () => {
+    const {sender, receiver} = createLinks();
+    const frame = sender.wrap(pourFrame(150));
+    const corrupted = TapFrame.decode(sender.wrap(pourFrame(160)).encode().
+        map((byte, index) => index === 4 ? byte ^ 1 : byte));
+
+    assert.strictEqual(receiver.check(frame), TapLink.OK);
+    assert.strictEqual(receiver.check(frame), TapLink.DUPLICATE);
+    assert.strictEqual(receiver.check(corrupted), TapLink.CORRUPTED);
+    assert.strictEqual(receiver.getExpected(), 1);
+  });
+
+  it('takes version 1 and handshake frames as they are', () => {
+    const {receiver} = createLinks();
+
+    assert.strictEqual(receiver.check(new TapFrame(TapFrame.HANDSHAKE, 2000,
+        {direction: TapFrame.DEVICE})), TapLink.OK);
+    assert.strictEqual(new TapLink().check(pourFrame(150)), TapLink.OK);
+    assert.strictEqual(receiver.getExpected(), 0);
+  });
+});
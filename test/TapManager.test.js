@@ -0,0 +1,67 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const BluetoothTerminal = require('../js/BluetoothTerminal');
+const FakeBluetooth = require('../js/FakeBluetooth');
+const TapManager = require('../js/TapManager');
+const VirtualTap = require('../js/VirtualTap');
+
+// Create manager of terminals for virtual taps with a tap permitted before
+// but out of range.
+const createManager = () => {
+  global.navigator = {};
+
+  const bluetooth = new FakeBluetooth();
+  const tap = new VirtualTap({deviceId: '00000000000007d0'});
+  const manager = new TapManager(() => {
+    const terminal = new BluetoothTerminal(VirtualTap.SERVICE_UUID,
+        VirtualTap.TX_CHARACTERISTIC_UUID);
+
+    terminal.setWriteCharacteristicUuid(VirtualTap.RX_CHARACTERISTIC_UUID);
+    terminal._log = () => {};
+
+    return terminal;
+  });
+
+  bluetooth.install(global.navigator);
+  bluetooth.addDevice(tap.device);
+  tap.device.setInRange(false);
+
+  return bluetooth.requestDevice({acceptAllDevices: true}).
+      then(() => ({manager, tap}));
+};
+
+describe('TapManager', () => {
+  it('connects restored tap once it advertises', () => {
+    return createManager().
+        then(({manager, tap}) => manager.restore().
+            then(([restored]) => {
+              const terminal = restored.terminal;
+              const connected = new Promise((resolve) =>
+                terminal.on('connectionStateChange', (state) =>
+                  state === BluetoothTerminal.CONNECTED && resolve()));
+
+              assert.strictEqual(terminal.getConnectionState(),
+                  BluetoothTerminal.CONNECTING);
+              tap.device.setInRange(true);
+
+              return connected.then(() => terminal.disconnect());
+            }));
+  });
+
+  it('gets restored tap disconnected if waiting fails', () => {
+    return createManager().
+        then(({manager}) => manager.restore()).
+        then(([restored]) => {
+          const terminal = restored.terminal;
+
+          terminal.getTransport().disconnect();
+
+          return new Promise((resolve) => setTimeout(resolve)).
+              then(() => assert.strictEqual(terminal.getConnectionState(),
+                  BluetoothTerminal.DISCONNECTED));
+        });
+  });
+});
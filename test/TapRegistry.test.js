@@ -0,0 +1,48 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const {describe, it} = require('node:test');
+
+const MemoryStorage = require('./MemoryStorage');
+const TapRegistry = require('../js/TapRegistry');
+
+// Web Crypto is not global before Node.js 19.
+global.crypto = global.crypto || crypto.webcrypto;
+
+describe('TapRegistry', () => {
+  it('signs the nonce with the first 4 bytes of HMAC-SHA256', () => {
+    const secret = '00112233445566778899aabbccddeeff';
+    const nonce = [1, 2, 3, 4];
+    const expected = crypto.createHmac('sha256', Buffer.from(secret, 'hex')).
+        update(Buffer.from(nonce)).
+        digest().
+        readUInt32BE(0);
+
+    return TapRegistry.sign(secret, nonce).
+        then((signature) => assert.strictEqual(signature, expected));
+  });
+
+  it('gives different signatures for other secret or nonce', () => {
+    return Promise.all([
+      TapRegistry.sign('0011', [1, 2, 3, 4]),
+      TapRegistry.sign('0012', [1, 2, 3, 4]),
+      TapRegistry.sign('0011', [1, 2, 3, 5]),
+    ]).then(([signature, ...others]) => others.forEach((other) =>
+      assert.notStrictEqual(other, signature)));
+  });
+
+  it('rejects secret which is not hex', () => {
+    return assert.rejects(Promise.resolve().
+        then(() => TapRegistry.sign('secret', [1, 2, 3, 4])));
+  });
+
+  it('keeps registered taps', () => {
+    const storage = new MemoryStorage();
+
+    new TapRegistry(storage).add('00000000000007d0', {name: 'Left tap'});
+
+    assert.deepStrictEqual(new TapRegistry(storage).get('00000000000007d0'),
+        {deviceId: '00000000000007d0', name: 'Left tap', secret: null});
+  });
+});
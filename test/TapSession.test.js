@@ -0,0 +1,113 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const TapSession = require('../js/TapSession');
+
+const createSession = () => {
+  const session = new TapSession(1234, '00000000000007d0');
+  const events = [];
+
+  TapSession.EVENTS.forEach((event) => session.on(event,
+      () => events.push(event === 'stateChange' ? session.state : event)));
+
+  return {session, events};
+};
+
+const configure = (session) => TapSession.CONFIG_COMMANDS.
+    forEach((command) => session.configure(command, command * 10));
+
+describe('TapSession', () => {
+  it('goes from authorizing to finished', () => {
+    const {session, events} = createSession();
+
+    session.setAuthorized(true);
+    assert.ok(session.accepts(41));
+    configure(session);
+    assert.strictEqual(session.state, TapSession.CONFIGURED);
+    assert.strictEqual(session.config.volumeLimit, 420);
+
+    session.progress(100);
+    session.progress(200);
+    session.finish(51, 250);
+
+    assert.strictEqual(session.state, TapSession.FINISHED);
+    assert.strictEqual(session.amount, 250);
+    assert.strictEqual(session.reason, 51);
+    assert.ok(!session.isActive());
+    assert.deepStrictEqual(events, [TapSession.CONFIGURED,
+      TapSession.POURING, 'pourStarted', 'pourProgress', 'pourProgress',
+      TapSession.FINISHED, 'pourFinished']);
+  });
+
+  it('keeps amount poured if the tap finishes with zero', () => {
+    const {session} = createSession();
+
+    session.setAuthorized(true);
+    configure(session);
+    session.progress(120);
+    session.finish(34, 0);
+
+    assert.strictEqual(session.amount, 120);
+  });
+
+  it('aborts denied session', () => {
+    const {session, events} = createSession();
+
+    assert.ok(!session.accepts(41));
+    session.setAuthorized(false);
+
+    assert.strictEqual(session.state, TapSession.ABORTED);
+    assert.strictEqual(session.reason, TapSession.DENIED);
+    assert.deepStrictEqual(events, [TapSession.ABORTED, 'pourAborted']);
+  });
+
+  it('accepts the finish while closing', () => {
+    const {session, events} = createSession();
+
+    session.setAuthorized(true);
+    configure(session);
+    session.progress(100);
+    session.close(TapSession.POUR_TOO_LONG);
+
+    assert.strictEqual(session.state, TapSession.CLOSING);
+    assert.strictEqual(session.reason, TapSession.POUR_TOO_LONG);
+    assert.ok(session.accepts(TapSession.PROGRESS));
+    assert.ok(session.accepts(51));
+    assert.ok(!session.accepts(41));
+
+    session.progress(180);
+    session.finish(51, 200);
+
+    assert.strictEqual(session.state, TapSession.FINISHED);
+    assert.strictEqual(session.amount, 200);
+    assert.deepStrictEqual(events.slice(-4), [TapSession.CLOSING,
+      'pourProgress', TapSession.FINISHED, 'pourFinished']);
+  });
+
+  it('aborts once and ignores abort of finished session', () => {
+    const {session, events} = createSession();
+
+    session.setAuthorized(true);
+    configure(session);
+    session.abort(TapSession.CONNECTION_LOST);
+    session.abort(TapSession.RESTARTED);
+
+    assert.strictEqual(session.reason, TapSession.CONNECTION_LOST);
+    assert.strictEqual(events.filter((event) => event === 'pourAborted').
+        length, 1);
+  });
+
+  it('throws on transitions not expected in the state', () => {
+    const {session} = createSession();
+
+    assert.throws(() => session.progress(100), /Session is authorizing/);
+    assert.throws(() => session.close(TapSession.POUR_STALLED),
+        /expected configured or pouring/);
+
+    session.setAuthorized(true);
+    configure(session);
+    assert.throws(() => session.setAuthorized(true), /expected authorizing/);
+  });
+});
@@ -0,0 +1,85 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const http = require('http');
+const {after, before, describe, it} = require('node:test');
+const {IDBFactory} = require('fake-indexeddb');
+
+const TransactionOutbox = require('../js/TransactionOutbox');
+
+describe('TransactionOutbox', () => {
+  let server;
+  let url;
+
+  // Respond with the status given as the path, e.g. `/422`.
+  before(() => new Promise((resolve) => {
+    server = http.createServer((request, response) => {
+      response.statusCode = Number(request.url.substring(1));
+      response.end();
+    });
+
+    server.listen(0, () => {
+      url = 'http://localhost:' + server.address().port;
+      resolve();
+    });
+  }));
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const createOutbox = (status) => new TransactionOutbox(url + '/' + status,
+      'tap-outbox', new IDBFactory());
+
+  it('removes delivered and already recorded transactions', () => {
+    const outbox = createOutbox(201);
+
+    return outbox.add({id: 'a'}).
+        then(() => outbox.flush()).
+        then((result) => {
+          assert.deepStrictEqual(result,
+              {sent: 1, failed: 0, held: 0, rejected: 0, dropped: []});
+          return outbox.getAll();
+        }).
+        then((records) => assert.deepStrictEqual(records, []));
+  });
+
+  it('drops transactions rejected for good', () => {
+    const outbox = createOutbox(422);
+
+    return outbox.add({id: 'a'}).
+        then(() => outbox.add({id: 'b'})).
+        then(() => outbox.flush()).
+        then((result) => {
+          assert.strictEqual(result.rejected, 2);
+          assert.deepStrictEqual(result.dropped.map((record) => record.id),
+              ['a', 'b']);
+          assert.strictEqual(result.dropped[0].lastError,
+              'Error: Transaction is rejected with status 422');
+          return outbox.getAll();
+        }).
+        then((records) => assert.deepStrictEqual(records, []));
+  });
+
+  it('keeps transactions which may be accepted later', () => {
+    const outboxes = [408, 429, 503].map(createOutbox);
+
+    return Promise.all(outboxes.map((outbox) => outbox.add({id: 'a'}).
+        then(() => outbox.flush()).
+        then((result) => {
+          assert.strictEqual(result.failed, 1);
+          return outbox.getAll();
+        }).
+        then((records) => {
+          assert.strictEqual(records.length, 1);
+          assert.strictEqual(records[0].attempts, 1);
+        })));
+  });
+
+  it('holds transactions without endpoint', () => {
+    const outbox = new TransactionOutbox(null, 'tap-outbox',
+        new IDBFactory());
+
+    return outbox.add({id: 'a'}).
+        then(() => outbox.flush()).
+        then((result) => assert.strictEqual(result.held, 1));
+  });
+});
@@ -0,0 +1,98 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const BluetoothTerminal = require('../js/BluetoothTerminal');
+const FakeBluetooth = require('../js/FakeBluetooth');
+const TapSession = require('../js/TapSession');
+const VirtualTap = require('../js/VirtualTap');
+
+// Resolve with the listener arguments the next time the event is emitted.
+const nextEvent = (emitter, type) => new Promise((resolve) => {
+  const listener = (...args) => {
+    emitter.off(type, listener);
+    resolve(args);
+  };
+
+  emitter.on(type, listener);
+});
+
+describe('VirtualTap', () => {
+  describe('parseScenario', () => {
+    it('parses pours, finish codes and service clauses', () => {
+      assert.deepStrictEqual(VirtualTap.parseScenario(
+          'card 1234 pours 330 ml, then flow sensor timeout 34; card 5\n' +
+          'card 7 pours 100 ml finish 35, wait 500 ms, disconnect, handshake'),
+      [
+        {card: 1234, pour: 330, finish: 34},
+        {card: 5, pour: null, finish: 51},
+        {card: 7, pour: 100, finish: 35},
+        {wait: 500},
+        {disconnect: true},
+        {handshake: true},
+      ]);
+    });
+
+    it('takes finish code from then or finish clauses only', () => {
+      assert.deepStrictEqual(VirtualTap.parseScenario('card 33 pours 32 ml'),
+          [{card: 33, pour: 32, finish: 51}]);
+    });
+
+    it('throws on unknown clause', () => {
+      assert.throws(() => VirtualTap.parseScenario('card 1, dance'),
+          /Unknown scenario clause "dance"/);
+    });
+  });
+
+  it('pours through the terminal and reconnects when dropped', () => {
+    global.navigator = {};
+
+    const bluetooth = new FakeBluetooth();
+    const tap = new VirtualTap({deviceId: '00000000000007d0'});
+    const terminal = new BluetoothTerminal(VirtualTap.SERVICE_UUID,
+        VirtualTap.TX_CHARACTERISTIC_UUID);
+    const states = [];
+
+    bluetooth.install(global.navigator);
+    bluetooth.addDevice(tap.device);
+
+    terminal.setWriteCharacteristicUuid(VirtualTap.RX_CHARACTERISTIC_UUID);
+    terminal.setReconnectionOptions({initialDelay: 10});
+    terminal.setAuthorizationProvider({
+      authorize: () => Promise.resolve('allowed'),
+    });
+    terminal.on('connectionStateChange', (state) => states.push(state));
+    terminal._log = () => {};
+
+    const handshake = nextEvent(tap, 'handshake');
+
+    return terminal.connect().
+        then(() => handshake).
+        then(() => Promise.all([
+          tap.run('card 1234 pours 330 ml'),
+          nextEvent(terminal, 'pourFinished'),
+        ])).
+        then(([results, [session]]) => {
+          assert.strictEqual(results[0].allowed, true);
+          assert.strictEqual(results[0].poured, 330);
+          assert.strictEqual(session.state, TapSession.FINISHED);
+          assert.strictEqual(session.cardNumber, 1234);
+          assert.strictEqual(session.deviceId, '00000000000007d0');
+          assert.strictEqual(session.amount, 330);
+          assert.strictEqual(session.reason, 51);
+
+          const rehandshake = nextEvent(tap, 'handshake');
+          tap.disconnect();
+
+          return rehandshake;
+        }).
+        then(() => {
+          assert.deepStrictEqual(states, [BluetoothTerminal.CONNECTING,
+            BluetoothTerminal.CONNECTED, BluetoothTerminal.RECONNECTING,
+            BluetoothTerminal.CONNECTED]);
+
+          terminal.disconnect();
+        });
+  });
+});
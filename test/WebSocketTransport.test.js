@@ -0,0 +1,87 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+const WebSocket = require('ws');
+
+const TapFrame = require('../js/TapFrame');
+const TapFrameReceiver = require('../js/TapFrameReceiver');
+const WebSocketTransport = require('../js/WebSocketTransport');
+const bridgeTap = require('../misc/Mock-Server/tap-bridge');
+
+describe('WebSocketTransport', () => {
+  const sockets = [];
+  const taps = [];
+  let server;
+  let url;
+
+  // Bridge every socket to its own virtual tap, as the mock server does.
+  before(() => new Promise((resolve) => {
+    server = new WebSocket.Server({port: 0}, () => {
+      url = 'ws://localhost:' + server.address().port + '/tap';
+      resolve();
+    });
+
+    server.on('connection', (socket) => {
+      sockets.push(socket);
+      taps.push(bridgeTap(socket, {tap: {deviceId: '00000000000007d0'}}));
+    });
+  }));
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('exchanges frames with the bridged tap', () => {
+    const transport = new WebSocketTransport();
+    const frames = [];
+    const receiver = new TapFrameReceiver((frame) => frames.push(frame));
+
+    transport.on('data', (bytes) => receiver.push(bytes));
+
+    return transport.connect(url).
+        then(() => new Promise((resolve) => {
+          const check = () => frames.length ? resolve() :
+            setTimeout(check, 5);
+
+          check();
+        })).
+        then(() => {
+          assert.strictEqual(transport.isConnected(), true);
+          assert.strictEqual(transport.getDeviceName(),
+              'localhost:' + server.address().port);
+          assert.strictEqual(frames[0].command, TapFrame.HANDSHAKE);
+          assert.strictEqual(frames[0].longId, '00000000000007d0');
+
+          const handshake = new Promise((resolve) =>
+            taps[taps.length - 1].on('handshake', resolve));
+
+          return transport.write(new TapFrame(TapFrame.HANDSHAKE, 1).
+              encode()).
+              then(() => handshake);
+        }).
+        then((reply) => {
+          assert.strictEqual(reply, 1);
+          transport.disconnect();
+        }).
+        then(() => assert.strictEqual(transport.isConnected(), false));
+  });
+
+  it('reports connection lost when the bridge closes the socket', () => {
+    const transport = new WebSocketTransport(url);
+    const lost = new Promise((resolve) =>
+      transport.on('connectionLost', resolve));
+
+    return transport.connect().
+        then(() => {
+          sockets[sockets.length - 1].close();
+          return lost;
+        }).
+        then(() => assert.strictEqual(transport.isConnected(), false));
+  });
+
+  it('rejects when the bridge is not reachable', () => {
+    const transport = new WebSocketTransport();
+
+    return assert.rejects(transport.connect('ws://localhost:1/tap'),
+        /Connection to ws:\/\/localhost:1\/tap failed/);
+  });
+});
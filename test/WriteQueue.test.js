@@ -0,0 +1,89 @@
+/* eslint-env node */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const WriteQueue = require('../js/WriteQueue');
+
+// Characteristic answering writes as scripted, `ok`, `fail` or `hang` which
+// settles only when `release` is called, then `ok` for the rest.
+const createCharacteristic = (outcomes) => {
+  const characteristic = {
+    written: [],
+    release: () => {},
+    writeValue(value) {
+      const outcome = outcomes.shift() || 'ok';
+
+      characteristic.written.push([value[0], outcome]);
+
+      if (outcome === 'fail') {
+        return Promise.reject(new Error('NetworkError: GATT operation ' +
+          'failed for unknown reason.'));
+      }
+
+      if (outcome === 'hang') {
+        return new Promise((resolve) => characteristic.release = resolve);
+      }
+
+      return Promise.resolve();
+    },
+  };
+
+  return characteristic;
+};
+
+const createQueue = (characteristic, options) => new WriteQueue(() => ({
+  write: (value) => characteristic.writeValue(value),
+}), Object.assign({timeout: 50, retryDelay: 1}, options));
+
+describe('WriteQueue', () => {
+  it('retries the failed write', () => {
+    const characteristic = createCharacteristic(['fail', 'fail', 'ok']);
+    const queue = createQueue(characteristic, {retries: 2});
+
+    return queue.push([1]).
+        then(() => assert.deepStrictEqual(characteristic.written,
+            [[1, 'fail'], [1, 'fail'], [1, 'ok']]));
+  });
+
+  it('rejects when all attempts failed', () => {
+    const characteristic = createCharacteristic(['fail', 'fail']);
+    const queue = createQueue(characteristic, {retries: 1});
+
+    return assert.rejects(queue.push([1]), /GATT operation failed/).
+        then(() => assert.strictEqual(characteristic.written.length, 2));
+  });
+
+  it('times out without retry and waits for the write to settle', () => {
+    const characteristic = createCharacteristic(['hang']);
+    const queue = createQueue(characteristic);
+    const timedOut = queue.push([1]);
+    const next = queue.push([2]);
+
+    return assert.rejects(timedOut, /timed out after 50 ms/).
+        then(() => {
+          assert.deepStrictEqual(characteristic.written, [[1, 'hang']]);
+          characteristic.release();
+          return next;
+        }).
+        then(() => assert.deepStrictEqual(characteristic.written,
+            [[1, 'hang'], [2, 'ok']]));
+  });
+
+  it('stops writing chunks after the failed one', () => {
+    const characteristic = createCharacteristic(['ok', 'fail']);
+    const queue = createQueue(characteristic, {retries: 0});
+    const failed = queue.pushAll([[1], [2], [3]]);
+
+    return assert.rejects(failed, /GATT operation failed/).
+        then(() => queue.push([4])).
+        then(() => assert.deepStrictEqual(characteristic.written,
+            [[1, 'ok'], [2, 'fail'], [4, 'ok']]));
+  });
+
+  it('rejects without connection', () => {
+    const queue = new WriteQueue(() => null);
+
+    return assert.rejects(queue.push([1]), /no connected device/);
+  });
+});